@@ -132,7 +132,7 @@ const handleError = (message, error) => {
         },
         driver: {
           type: 'string',
-          choices: ['github', 'gitlab', 'bitbucket'],
+          choices: ['github', 'gitlab', 'bitbucket', 'gitea', 'azure', 'local'],
           defaultDescription: 'infer from the environment',
           description: 'Git provider where the repository is hosted',
           group: 'Global Options:'
@@ -21,8 +21,8 @@ describe('command-line interface tests', () => {
         --log     Logging verbosity
                 [string] [choices: \\"error\\", \\"warn\\", \\"info\\", \\"debug\\"] [default: \\"info\\"]
         --driver  Git provider where the repository is hosted
-          [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\"] [default: infer from the
-                                                                          environment]
+        [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\", \\"gitea\\", \\"azure\\", \\"local\\"]
+                                                 [default: infer from the environment]
         --repo    Repository URL or slug[string] [default: infer from the environment]
         --token   Personal access token [string] [default: infer from the environment]
         --help    Show help                                                  [boolean]
@@ -38,12 +38,20 @@ describe('Valid Docs URLs', () => {
     'workflow/rerun',
     'tensorboard/connect',
     'runner/launch',
+    'runner/list',
+    'runner/terminate',
+    'runner/autoscale',
+    'runner/history',
     'repo/prepare',
     'pr/create',
     'comment/create',
     'comment/update',
+    'comment/list',
+    'comment/delete',
     'check/create',
-    'asset/publish'
+    'check/update',
+    'asset/publish',
+    'asset/cache/clear'
   ])('Check Docs Link', async (cmd) => {
     const { DOCSURL } = require(`./cml/${cmd}`);
     const { status } = await fetch(DOCSURL);
@@ -0,0 +1,8 @@
+exports.command = 'cache';
+exports.description = 'Manage the cache of published assets';
+exports.builder = (yargs) =>
+  yargs
+    .commandDir('./cache', { exclude: /\.test\.js$/ })
+    .recommendCommands()
+    .demandCommand()
+    .strict();
@@ -0,0 +1,25 @@
+const kebabcaseKeys = require('kebabcase-keys');
+const winston = require('winston');
+
+const { clearAssetCache } = require('../../../../src/cache');
+
+const DESCRIPTION = 'Forget the URLs of published assets';
+const DOCSURL = 'https://cml.dev/doc/ref/asset#cache';
+
+exports.command = 'clear';
+exports.description = `${DESCRIPTION}\n${DOCSURL}`;
+
+exports.handler = async () => {
+  const entries = await clearAssetCache();
+
+  winston.info(`Cleared ${entries} cached asset(s)`);
+};
+
+exports.builder = (yargs) =>
+  yargs
+    .env('CML_ASSET')
+    .option('options', { default: exports.options, hidden: true })
+    .options(exports.options);
+
+exports.options = kebabcaseKeys({});
+exports.DOCSURL = DOCSURL;
@@ -0,0 +1,24 @@
+const { exec } = require('../../../../src/utils');
+
+describe('CML cli test', () => {
+  test('cml asset cache clear --help', async () => {
+    const output = await exec(`node ./bin/cml.js asset cache clear --help`);
+
+    expect(output).toMatchInlineSnapshot(`
+      "cml.js asset cache clear
+
+      Forget the URLs of published assets
+      https://cml.dev/doc/ref/asset#cache
+
+      Global Options:
+        --log     Logging verbosity
+                [string] [choices: \\"error\\", \\"warn\\", \\"info\\", \\"debug\\"] [default: \\"info\\"]
+        --driver  Git provider where the repository is hosted
+        [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\", \\"gitea\\", \\"azure\\", \\"local\\"]
+                                                 [default: infer from the environment]
+        --repo    Repository URL or slug[string] [default: infer from the environment]
+        --token   Personal access token [string] [default: infer from the environment]
+        --help    Show help                                                  [boolean]"
+    `);
+  });
+});
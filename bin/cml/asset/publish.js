@@ -18,9 +18,11 @@ exports.handler = async (opts) => {
     opts.native = true;
   }
 
-  const { file, asset: path } = opts;
+  const { file, asset: path, recursive } = opts;
   const cml = new CML({ ...opts });
-  const output = await cml.publish({ ...opts, path });
+  const output = recursive
+    ? await cml.publishDirectory({ ...opts, path })
+    : await cml.publish({ ...opts, path });
 
   if (!file) console.log(output);
   else await fs.writeFile(file, output);
@@ -42,6 +44,27 @@ exports.options = kebabcaseKeys({
     type: 'boolean',
     description: 'Output in markdown format [title || name](url)'
   },
+  recursive: {
+    type: 'boolean',
+    alias: 'r',
+    description:
+      'Publish every file in the given directory and output a JSON manifest mapping their paths to URLs, or a gallery with --md'
+  },
+  columns: {
+    type: 'number',
+    default: 3,
+    description: 'Number of thumbnails per row of a --recursive --md gallery'
+  },
+  concurrency: {
+    type: 'number',
+    default: 4,
+    description: 'Maximum number of files published at once with --recursive'
+  },
+  retries: {
+    type: 'number',
+    default: 3,
+    description: 'Times to retry publishing a file that failed with --recursive'
+  },
   title: {
     type: 'string',
     alias: 't',
@@ -50,7 +73,39 @@ exports.options = kebabcaseKeys({
   native: {
     type: 'boolean',
     description:
-      "Uses driver's native capabilities to upload assets instead of CML's storage; not available on GitHub"
+      "Uses driver's native capabilities to upload assets instead of CML's storage; GitHub commits them to a cml-assets branch"
+  },
+  storage: {
+    type: 'string',
+    description:
+      "Store assets in an S3 bucket (s3://bucket/prefix), a WebDAV collection (webdav[s]://host/path) or a directory instead of CML's storage"
+  },
+  storageUrl: {
+    type: 'string',
+    description:
+      'Public URL the --storage location is served from; required for directories'
+  },
+  maxWidth: {
+    type: 'number',
+    description:
+      'Shrink PNG and JPEG images wider than this many pixels, linking to the original'
+  },
+  maxHeight: {
+    type: 'number',
+    description:
+      'Shrink PNG and JPEG images taller than this many pixels, linking to the original'
+  },
+  format: {
+    type: 'string',
+    choices: ['png', 'jpeg', 'webp'],
+    description:
+      'Re-encode PNG and JPEG images in this format (WebP is lossless), linking to the original'
+  },
+  cache: {
+    type: 'boolean',
+    default: true,
+    description:
+      'Reuse the URL of files published earlier with the same contents; disable with --no-cache'
   },
   gitlabUploads: {
     type: 'boolean',
@@ -11,8 +11,8 @@ describe('CML cli test', () => {
             --log     Logging verbosity
                 [string] [choices: \\"error\\", \\"warn\\", \\"info\\", \\"debug\\"] [default: \\"info\\"]
             --driver  Git provider where the repository is hosted
-          [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\"] [default: infer from the
-                                                                          environment]
+        [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\", \\"gitea\\", \\"azure\\", \\"local\\"]
+                                                 [default: infer from the environment]
             --repo    Specifies the repo to be used. If not specified is extracted
                       from the CI ENV.  [string] [default: infer from the environment]
             --token   Personal access token
@@ -20,11 +20,35 @@ describe('CML cli test', () => {
             --help    Show help                                              [boolean]
 
       Options:
-            --md         Output in markdown format [title || name](url)      [boolean]
-        -t, --title      Markdown title [title](url) or ![](url title)        [string]
-            --native     Uses driver's native capabilities to upload assets instead of
-                         CML's storage; not available on GitHub              [boolean]
-            --mime-type  MIME type    [string] [default: infer from the file contents]"
+            --md           Output in markdown format [title || name](url)    [boolean]
+        -r, --recursive    Publish every file in the given directory and output a JSON
+                           manifest mapping their paths to URLs, or a gallery with
+                           --md                                              [boolean]
+            --columns      Number of thumbnails per row of a --recursive --md gallery
+                                                                 [number] [default: 3]
+            --concurrency  Maximum number of files published at once with --recursive
+                                                                 [number] [default: 4]
+            --retries      Times to retry publishing a file that failed with
+                           --recursive                           [number] [default: 3]
+        -t, --title        Markdown title [title](url) or ![](url title)      [string]
+            --native       Uses driver's native capabilities to upload assets instead
+                           of CML's storage; GitHub commits them to a cml-assets
+                           branch                                            [boolean]
+            --storage      Store assets in an S3 bucket (s3://bucket/prefix), a WebDAV
+                           collection (webdav[s]://host/path) or a directory instead
+                           of CML's storage                                   [string]
+            --storage-url  Public URL the --storage location is served from; required
+                           for directories                                    [string]
+            --max-width    Shrink PNG and JPEG images wider than this many pixels,
+                           linking to the original                            [number]
+            --max-height   Shrink PNG and JPEG images taller than this many pixels,
+                           linking to the original                            [number]
+            --format       Re-encode PNG and JPEG images in this format (WebP is
+                           lossless), linking to the original
+                                             [string] [choices: \\"png\\", \\"jpeg\\", \\"webp\\"]
+            --cache        Reuse the URL of files published earlier with the same
+                           contents; disable with --no-cache [boolean] [default: true]
+            --mime-type    MIME type  [string] [default: infer from the file contents]"
     `);
   });
 });
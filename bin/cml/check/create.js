@@ -8,9 +8,11 @@ exports.command = 'create <markdown file>';
 exports.description = `${DESCRIPTION}\n${DOCSURL}`;
 
 exports.handler = async (opts) => {
-  const { cml, markdownfile } = opts;
+  const { cml, markdownfile, text: textFile } = opts;
   const report = await fs.readFile(markdownfile, 'utf-8');
-  await cml.checkCreate({ ...opts, report });
+  const text = textFile && (await fs.readFile(textFile, 'utf-8'));
+  const id = await cml.checkCreate({ ...opts, report, text });
+  console.log(id);
 };
 
 exports.builder = (yargs) =>
@@ -54,6 +56,25 @@ exports.options = kebabcaseKeys({
     type: 'string',
     default: 'CML Report',
     description: 'Title of the check'
+  },
+  annotations: {
+    type: 'array',
+    string: true,
+    default: [],
+    description:
+      'JUnit XML, SARIF or "file:line:message" files with annotations for lines of the repository'
+  },
+  detailsUrl: {
+    type: 'string',
+    description: 'URL with the full details of the check'
+  },
+  externalId: {
+    type: 'string',
+    description: 'Reference of the check in an external system'
+  },
+  text: {
+    type: 'string',
+    description: 'Markdown file with details shown below the check summary'
   }
 });
 exports.DOCSURL = DOCSURL;
@@ -1,4 +1,7 @@
+const { join } = require('path');
+
 const { exec } = require('../../../src/utils');
+const { handler } = require('./create');
 
 describe('CML e2e', () => {
   test('cml send-github-check --help', async () => {
@@ -11,8 +14,8 @@ describe('CML e2e', () => {
         --log     Logging verbosity
                 [string] [choices: \\"error\\", \\"warn\\", \\"info\\", \\"debug\\"] [default: \\"info\\"]
         --driver  Git provider where the repository is hosted
-          [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\"] [default: infer from the
-                                                                          environment]
+        [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\", \\"gitea\\", \\"azure\\", \\"local\\"]
+                                                 [default: infer from the environment]
         --repo    Repository URL or slug[string] [default: infer from the environment]
         --token   GITHUB_TOKEN or Github App token. Personal access token won't work
                                         [string] [default: infer from the environment]
@@ -27,7 +30,26 @@ describe('CML e2e', () => {
         --status                  Status of the check
                     [string] [choices: \\"queued\\", \\"in_progress\\", \\"completed\\"] [default:
                                                                           \\"completed\\"]
-        --title                   Title of the check  [string] [default: \\"CML Report\\"]"
+        --title                   Title of the check  [string] [default: \\"CML Report\\"]
+        --annotations             JUnit XML, SARIF or \\"file:line:message\\" files with
+                                  annotations for lines of the repository
+                                                                 [array] [default: []]
+        --details-url             URL with the full details of the check      [string]
+        --external-id             Reference of the check in an external system[string]
+        --text                    Markdown file with details shown below the check
+                                  summary                                     [string]"
     `);
   });
 });
+
+describe('Check create', () => {
+  test('the id of the check is printed', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const cml = { checkCreate: jest.fn(async () => 7) };
+
+    await handler({ cml, markdownfile: join(__dirname, '../../../README.md') });
+    expect(log.mock.calls).toEqual([[7]]);
+
+    log.mockRestore();
+  });
+});
@@ -0,0 +1,77 @@
+const fs = require('fs').promises;
+const kebabcaseKeys = require('kebabcase-keys');
+
+const DESCRIPTION = 'Update a check report';
+const DOCSURL = 'https://cml.dev/doc/ref/check#update';
+
+exports.command = 'update [id]';
+exports.description = `${DESCRIPTION}\n${DOCSURL}`;
+
+exports.handler = async (opts) => {
+  const { cml, summary, text: textFile } = opts;
+  const report = summary && (await fs.readFile(summary, 'utf-8'));
+  const text = textFile && (await fs.readFile(textFile, 'utf-8'));
+  const id = await cml.checkUpdate({ ...opts, report, text });
+  console.log(id);
+};
+
+exports.builder = (yargs) =>
+  yargs
+    .env('CML_CHECK')
+    .option('options', { default: exports.options, hidden: true })
+    .options(exports.options);
+
+exports.options = kebabcaseKeys({
+  token: {
+    type: 'string',
+    description:
+      "GITHUB_TOKEN or Github App token. Personal access token won't work"
+  },
+  title: {
+    type: 'string',
+    description:
+      'Title of the check created earlier in this job, when no id is given; also renames the check',
+    defaultDescription: 'CML Report'
+  },
+  summary: {
+    type: 'string',
+    description: 'Markdown file with the new summary of the check'
+  },
+  conclusion: {
+    type: 'string',
+    choices: [
+      'success',
+      'failure',
+      'neutral',
+      'cancelled',
+      'skipped',
+      'timed_out'
+    ],
+    description: 'Conclusion status of the check; completes the check'
+  },
+  status: {
+    type: 'string',
+    choices: ['queued', 'in_progress', 'completed'],
+    description: 'Status of the check'
+  },
+  annotations: {
+    type: 'array',
+    string: true,
+    default: [],
+    description:
+      'JUnit XML, SARIF or "file:line:message" files with annotations to add to the check'
+  },
+  detailsUrl: {
+    type: 'string',
+    description: 'URL with the full details of the check'
+  },
+  externalId: {
+    type: 'string',
+    description: 'Reference of the check in an external system'
+  },
+  text: {
+    type: 'string',
+    description: 'Markdown file with details shown below the check summary'
+  }
+});
+exports.DOCSURL = DOCSURL;
@@ -0,0 +1,54 @@
+const { exec } = require('../../../src/utils');
+const { handler } = require('./update');
+
+describe('CML e2e', () => {
+  test('cml check update --help', async () => {
+    const output = await exec(`node ./bin/cml.js check update --help`);
+
+    expect(output).toMatchInlineSnapshot(`
+      "cml.js check update [id]
+
+      Update a check report
+      https://cml.dev/doc/ref/check#update
+
+      Global Options:
+        --log     Logging verbosity
+                [string] [choices: \\"error\\", \\"warn\\", \\"info\\", \\"debug\\"] [default: \\"info\\"]
+        --driver  Git provider where the repository is hosted
+        [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\", \\"gitea\\", \\"azure\\", \\"local\\"]
+                                                 [default: infer from the environment]
+        --repo    Repository URL or slug[string] [default: infer from the environment]
+        --token   GITHUB_TOKEN or Github App token. Personal access token won't work
+                                        [string] [default: infer from the environment]
+        --help    Show help                                                  [boolean]
+
+      Options:
+        --title        Title of the check created earlier in this job, when no id is
+                       given; also renames the check    [string] [default: CML Report]
+        --summary      Markdown file with the new summary of the check        [string]
+        --conclusion   Conclusion status of the check; completes the check
+           [string] [choices: \\"success\\", \\"failure\\", \\"neutral\\", \\"cancelled\\", \\"skipped\\",
+                                                                          \\"timed_out\\"]
+        --status       Status of the check
+                              [string] [choices: \\"queued\\", \\"in_progress\\", \\"completed\\"]
+        --annotations  JUnit XML, SARIF or \\"file:line:message\\" files with annotations
+                       to add to the check                       [array] [default: []]
+        --details-url  URL with the full details of the check                 [string]
+        --external-id  Reference of the check in an external system           [string]
+        --text         Markdown file with details shown below the check summary
+                                                                              [string]"
+    `);
+  });
+});
+
+describe('Check update', () => {
+  test('the id of the check is printed', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const cml = { checkUpdate: jest.fn(async () => 7) };
+
+    await handler({ cml, id: 7 });
+    expect(log.mock.calls).toEqual([[7]]);
+
+    log.mockRestore();
+  });
+});
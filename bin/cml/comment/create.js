@@ -43,6 +43,33 @@ exports.options = kebabcaseKeys({
     default: true,
     description: 'Upload any local images found in the Markdown report'
   },
+  template: {
+    type: 'boolean',
+    description: 'Render {{ ... }} template expressions in the Markdown report'
+  },
+  metricsDiff: {
+    type: 'array',
+    string: true,
+    default: [],
+    description:
+      'JSON metrics files to compare against the target branch of the PR'
+  },
+  overflow: {
+    type: 'string',
+    choices: ['truncate', 'split', 'attach'],
+    description:
+      'Handle reports over the comment size limit: truncate them, split them into several comments or attach them as a file'
+  },
+  inline: {
+    type: 'boolean',
+    description:
+      'Embed small PNG and SVG images in the report on forges that render data URIs, publishing the rest'
+  },
+  inlineMaxSize: {
+    type: 'number',
+    default: 32768,
+    description: 'Size limit of inlined images in bytes, after compression'
+  },
   publishUrl: {
     type: 'string',
     default: 'https://asset.cml.dev',
@@ -53,15 +80,59 @@ exports.options = kebabcaseKeys({
     type: 'boolean',
     alias: 'native',
     description:
-      "Uses driver's native capabilities to upload assets instead of CML's storage; not available on GitHub",
+      "Uses driver's native capabilities to upload assets instead of CML's storage; GitHub commits them to a cml-assets branch",
     telemetryData: 'name'
   },
+  storage: {
+    type: 'string',
+    description:
+      "Store assets in an S3 bucket (s3://bucket/prefix), a WebDAV collection (webdav[s]://host/path) or a directory instead of CML's storage"
+  },
+  storageUrl: {
+    type: 'string',
+    description:
+      'Public URL the --storage location is served from; required for directories'
+  },
+  maxWidth: {
+    type: 'number',
+    description:
+      'Shrink PNG and JPEG images wider than this many pixels, linking to the original'
+  },
+  maxHeight: {
+    type: 'number',
+    description:
+      'Shrink PNG and JPEG images taller than this many pixels, linking to the original'
+  },
+  format: {
+    type: 'string',
+    choices: ['png', 'jpeg', 'webp'],
+    description:
+      'Re-encode PNG and JPEG images in this format (WebP is lossless), linking to the original'
+  },
+  cache: {
+    type: 'boolean',
+    default: true,
+    description:
+      'Reuse the URL of files published earlier with the same contents; disable with --no-cache'
+  },
   update: {
     type: 'boolean',
     description:
       'Update the last CML comment (if any) instead of creating a new one',
     hidden: true
   },
+  collapsePrevious: {
+    type: 'boolean',
+    description:
+      'Collapse earlier comments with the same watermark into a link to the new one',
+    conflicts: ['rmWatermark']
+  },
+  section: {
+    type: 'string',
+    description:
+      'Write the report into this named section of a comment shared with other jobs, e.g. the cells of a job matrix',
+    conflicts: ['rmWatermark']
+  },
   rmWatermark: {
     type: 'boolean',
     description:
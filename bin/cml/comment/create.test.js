@@ -10,8 +10,8 @@ describe('Comment integration tests', () => {
         --log     Logging verbosity
                 [string] [choices: \\"error\\", \\"warn\\", \\"info\\", \\"debug\\"] [default: \\"info\\"]
         --driver  Git provider where the repository is hosted
-          [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\"] [default: infer from the
-                                                                          environment]
+        [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\", \\"gitea\\", \\"azure\\", \\"local\\"]
+                                                 [default: infer from the environment]
         --repo    Repository URL or slug[string] [default: infer from the environment]
         --token   Personal access token [string] [default: infer from the environment]
         --help    Show help                                                  [boolean]
@@ -25,11 +25,44 @@ describe('Comment integration tests', () => {
                                     comment                                  [boolean]
         --publish                   Upload any local images found in the Markdown
                                     report                   [boolean] [default: true]
+        --template                  Render {{ ... }} template expressions in the
+                                    Markdown report                          [boolean]
+        --metrics-diff              JSON metrics files to compare against the target
+                                    branch of the PR             [array] [default: []]
+        --overflow                  Handle reports over the comment size limit:
+                                    truncate them, split them into several comments or
+                                    attach them as a file
+                                     [string] [choices: \\"truncate\\", \\"split\\", \\"attach\\"]
+        --inline                    Embed small PNG and SVG images in the report on
+                                    forges that render data URIs, publishing the rest
+                                                                             [boolean]
+        --inline-max-size           Size limit of inlined images in bytes, after
+                                    compression              [number] [default: 32768]
         --publish-url               Self-hosted image server URL
                                            [string] [default: \\"https://asset.cml.dev\\"]
         --publish-native, --native  Uses driver's native capabilities to upload assets
-                                    instead of CML's storage; not available on GitHub
-                                                                             [boolean]
+                                    instead of CML's storage; GitHub commits them to a
+                                    cml-assets branch                        [boolean]
+        --storage                   Store assets in an S3 bucket (s3://bucket/prefix),
+                                    a WebDAV collection (webdav[s]://host/path) or a
+                                    directory instead of CML's storage        [string]
+        --storage-url               Public URL the --storage location is served from;
+                                    required for directories                  [string]
+        --max-width                 Shrink PNG and JPEG images wider than this many
+                                    pixels, linking to the original           [number]
+        --max-height                Shrink PNG and JPEG images taller than this many
+                                    pixels, linking to the original           [number]
+        --format                    Re-encode PNG and JPEG images in this format (WebP
+                                    is lossless), linking to the original
+                                             [string] [choices: \\"png\\", \\"jpeg\\", \\"webp\\"]
+        --cache                     Reuse the URL of files published earlier with the
+                                    same contents; disable with --no-cache
+                                                             [boolean] [default: true]
+        --collapse-previous         Collapse earlier comments with the same watermark
+                                    into a link to the new one               [boolean]
+        --section                   Write the report into this named section of a
+                                    comment shared with other jobs, e.g. the cells of
+                                    a job matrix                              [string]
         --watermark-title           Hidden comment marker (used for targeting in
                                     subsequent \`cml comment update\`); \\"{workflow}\\" &
                                     \\"{run}\\" are auto-replaced   [string] [default: \\"\\"]"
@@ -0,0 +1,47 @@
+const kebabcaseKeys = require('kebabcase-keys');
+const winston = require('winston');
+
+const { options: listOptions } = require('./list');
+
+const DESCRIPTION = 'Delete CML comments';
+const DOCSURL = 'https://cml.dev/doc/ref/comment#delete';
+
+exports.command = 'delete';
+exports.description = `${DESCRIPTION}\n${DOCSURL}`;
+
+exports.handler = async (opts) => {
+  const { cml } = opts;
+  const comments = await cml.commentDelete(opts);
+
+  winston.info(`Deleted ${comments.length} comment(s)`);
+};
+
+exports.builder = (yargs) =>
+  yargs
+    .env('CML_COMMENT')
+    .option('options', { default: exports.options, hidden: true })
+    .options(exports.options);
+
+exports.options = kebabcaseKeys({
+  pr: {
+    ...listOptions.pr,
+    description:
+      'Delete comments of the existing PR/MR associated with the specified commit'
+  },
+  commitSha: listOptions['commit-sha'],
+  watermarkTitle: {
+    ...listOptions['watermark-title'],
+    description:
+      'Only delete comments with this hidden marker; "{workflow}" & "{run}" are auto-replaced'
+  },
+  id: {
+    type: 'string',
+    description: 'Identifier of the comment to delete',
+    conflicts: ['allButLatest']
+  },
+  allButLatest: {
+    type: 'boolean',
+    description: 'Delete every matching comment except the most recent one'
+  }
+});
+exports.DOCSURL = DOCSURL;
@@ -0,0 +1,36 @@
+const { exec } = require('../../../src/utils');
+
+describe('CML e2e', () => {
+  test('cml comment delete --help', async () => {
+    const output = await exec(`node ./bin/cml.js comment delete --help`);
+
+    expect(output).toMatchInlineSnapshot(`
+      "cml.js comment delete
+
+      Delete CML comments
+      https://cml.dev/doc/ref/comment#delete
+
+      Global Options:
+        --log     Logging verbosity
+                [string] [choices: \\"error\\", \\"warn\\", \\"info\\", \\"debug\\"] [default: \\"info\\"]
+        --driver  Git provider where the repository is hosted
+        [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\", \\"gitea\\", \\"azure\\", \\"local\\"]
+                                                 [default: infer from the environment]
+        --repo    Repository URL or slug[string] [default: infer from the environment]
+        --token   Personal access token [string] [default: infer from the environment]
+        --help    Show help                                                  [boolean]
+
+      Options:
+        --pr                      Delete comments of the existing PR/MR associated
+                                  with the specified commit                  [boolean]
+        --commit-sha, --head-sha  Commit SHA linked to the comments
+                                                            [string] [default: \\"HEAD\\"]
+        --watermark-title         Only delete comments with this hidden marker;
+                                  \\"{workflow}\\" & \\"{run}\\" are auto-replaced
+                                                                [string] [default: \\"\\"]
+        --id                      Identifier of the comment to delete         [string]
+        --all-but-latest          Delete every matching comment except the most recent
+                                  one                                        [boolean]"
+    `);
+  });
+});
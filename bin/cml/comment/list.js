@@ -0,0 +1,57 @@
+const kebabcaseKeys = require('kebabcase-keys');
+
+const DESCRIPTION = 'List CML comments';
+const DOCSURL = 'https://cml.dev/doc/ref/comment#list';
+
+exports.command = 'list';
+exports.description = `${DESCRIPTION}\n${DOCSURL}`;
+
+// PR comments start with the short SHA of their commit, and every comment has
+// a watermark image: neither of them makes a title.
+const commentTitle = (body) => {
+  const lines = body.split('\n').filter((line) => line.trim());
+  if (/^[0-9a-f]{7}$/.test(lines[0])) lines.shift();
+
+  return lines.find((line) => !/^!\[\]\(\S+ "CML watermark/.test(line)) || '';
+};
+
+exports.handler = async (opts) => {
+  const { cml, json } = opts;
+  const comments = await cml.commentList(opts);
+
+  if (json) return console.log(JSON.stringify(comments, null, 2));
+
+  for (const { id, body } of comments)
+    console.log(`${id}\t${commentTitle(body)}`);
+};
+
+exports.builder = (yargs) =>
+  yargs
+    .env('CML_COMMENT')
+    .option('options', { default: exports.options, hidden: true })
+    .options(exports.options);
+
+exports.options = kebabcaseKeys({
+  pr: {
+    type: 'boolean',
+    description:
+      'List comments of the existing PR/MR associated with the specified commit'
+  },
+  commitSha: {
+    type: 'string',
+    alias: 'head-sha',
+    default: 'HEAD',
+    description: 'Commit SHA linked to the comments'
+  },
+  watermarkTitle: {
+    type: 'string',
+    description:
+      'Only list comments with this hidden marker; "{workflow}" & "{run}" are auto-replaced',
+    default: ''
+  },
+  json: {
+    type: 'boolean',
+    description: 'Output the comments as JSON'
+  }
+});
+exports.DOCSURL = DOCSURL;
@@ -0,0 +1,55 @@
+const { exec } = require('../../../src/utils');
+const { handler } = require('./list');
+
+describe('CML e2e', () => {
+  test('cml comment list --help', async () => {
+    const output = await exec(`node ./bin/cml.js comment list --help`);
+
+    expect(output).toMatchInlineSnapshot(`
+      "cml.js comment list
+
+      List CML comments
+      https://cml.dev/doc/ref/comment#list
+
+      Global Options:
+        --log     Logging verbosity
+                [string] [choices: \\"error\\", \\"warn\\", \\"info\\", \\"debug\\"] [default: \\"info\\"]
+        --driver  Git provider where the repository is hosted
+        [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\", \\"gitea\\", \\"azure\\", \\"local\\"]
+                                                 [default: infer from the environment]
+        --repo    Repository URL or slug[string] [default: infer from the environment]
+        --token   Personal access token [string] [default: infer from the environment]
+        --help    Show help                                                  [boolean]
+
+      Options:
+        --pr                      List comments of the existing PR/MR associated with
+                                  the specified commit                       [boolean]
+        --commit-sha, --head-sha  Commit SHA linked to the comments
+                                                            [string] [default: \\"HEAD\\"]
+        --watermark-title         Only list comments with this hidden marker;
+                                  \\"{workflow}\\" & \\"{run}\\" are auto-replaced
+                                                                [string] [default: \\"\\"]
+        --json                    Output the comments as JSON                [boolean]"
+    `);
+  });
+});
+
+describe('Comment listing', () => {
+  test('titles skip the commit prefix and the watermark', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const watermark =
+      '![](https://cml.dev/watermark.png "CML watermark training")';
+    const cml = {
+      commentList: jest.fn(async () => [
+        { id: 1, body: `abc1234\n\n# Metrics\n\n${watermark}` },
+        { id: 2, body: `${watermark}\n\nPlots` },
+        { id: 3, body: watermark }
+      ])
+    };
+
+    await handler({ cml });
+    expect(log.mock.calls).toEqual([['1\t# Metrics'], ['2\tPlots'], ['3\t']]);
+
+    log.mockRestore();
+  });
+});
@@ -17,5 +17,10 @@ exports.builder = (yargs) =>
       )
     )
     .option('options', { default: options, hidden: true })
-    .check(() => process.argv.some((arg) => arg.startsWith('-')))
+    // Runners are launched with at least one flag, but other subcommands
+    // need none.
+    .check(
+      ({ _: [, command = 'launch'] }) =>
+        command !== 'launch' || process.argv.some((arg) => arg.startsWith('-'))
+    )
     .strict();
@@ -0,0 +1,214 @@
+const { join } = require('path');
+const { homedir } = require('os');
+const fs = require('fs').promises;
+const kebabcaseKeys = require('kebabcase-keys');
+const winston = require('winston');
+
+const { randid, sleep } = require('../../../src/utils');
+const { options: launchOptions, runCloud } = require('./launch');
+const { runnerWorkdir, runnerState, terminateRunner } = require('./terminate');
+
+// Seconds a deployed runner has to register before it's deemed lost.
+const STARTUP_TIMEOUT = 15 * 60;
+
+// Runners of the pool are the ones this machine deployed, found through the
+// Terraform state `runCloud` leaves in their workdirs, so that the autoscaler
+// picks them up again after a restart.
+const poolRunners = async (opts) => {
+  const { prefix, runners } = opts;
+
+  let names = [];
+  try {
+    names = await fs.readdir(join(homedir(), '.cml'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const pool = [];
+  for (const name of names.filter((name) => name.startsWith(`${prefix}-`))) {
+    try {
+      const { mtime } = await fs.stat(runnerState(name));
+      pool.push({
+        name,
+        deployed: mtime.getTime(),
+        runner: runners.find((runner) => runner.name === name)
+      });
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  return pool;
+};
+
+const launchRunner = async (opts) => {
+  const { cml, name: prefix } = opts;
+  const name = `${prefix}-${randid()}`;
+  const workdir = runnerWorkdir(name);
+
+  winston.info(`Launching runner ${name}...`);
+  await fs.mkdir(workdir, { recursive: true });
+  try {
+    // The autoscaler decides when runners go, so they never time out.
+    await runCloud({ ...opts, name, workdir, idleTimeout: 0, single: false });
+  } catch (err) {
+    winston.error(`Failed launching runner ${name}: ${err.message}`);
+    await terminateRunner({ cml, runner: { name }, runners: [] });
+  }
+};
+
+// One round of autoscaling: launches runners for queued jobs up to max, and
+// terminates the ones idle for longer than idleTimeout down to min.
+const scale = async (opts, idleSince) => {
+  const { cml, labels, min, max, name: prefix, idleTimeout } = opts;
+  const now = Date.now();
+
+  const runners = await cml.runners();
+  const pool = [];
+  for (const member of await poolRunners({ prefix, runners })) {
+    const { name, deployed, runner } = member;
+    if (runner || now - deployed < STARTUP_TIMEOUT * 1000) {
+      pool.push(member);
+      continue;
+    }
+    winston.warn(`Runner ${name} didn't register in time`);
+    await terminateRunner({ cml, runner: { name }, runners });
+  }
+
+  for (const { name, runner } of pool) {
+    if (!runner || !runner.online || runner.busy) idleSince.delete(name);
+    else if (!idleSince.has(name)) idleSince.set(name, now);
+  }
+
+  const queued = (await cml.queuedJobs({ labels })).length;
+  const busy = pool.filter(({ runner }) => runner && runner.busy).length;
+  const wanted = Math.min(max, Math.max(min, busy + queued));
+  winston.info('autoscaler status', {
+    queued,
+    busy,
+    runners: pool.length,
+    wanted
+  });
+
+  if (wanted > pool.length) {
+    await Promise.all(
+      Array.from({ length: wanted - pool.length }, () => launchRunner(opts))
+    );
+    return;
+  }
+
+  const idle = pool
+    .filter(({ name }) => now - idleSince.get(name) >= idleTimeout * 1000)
+    .sort((a, b) => idleSince.get(a.name) - idleSince.get(b.name))
+    .slice(0, pool.length - wanted);
+  for (const { name, runner } of idle) {
+    await terminateRunner({ cml, runner, runners });
+    idleSince.delete(name);
+  }
+};
+
+// Terminates the idle runners of the pool and exits. Busy runners are left to
+// finish their jobs; `cml runner terminate` can clean them up afterwards.
+const shutdown = async (opts) => {
+  const { cml, name: prefix, reason } = opts;
+
+  try {
+    const runners = await cml.runners();
+    for (const { runner } of await poolRunners({ prefix, runners }))
+      if (runner && !runner.busy)
+        await terminateRunner({ cml, runner, runners });
+  } catch (err) {
+    winston.error(`Failed terminating idle runners: ${err.message}`);
+  }
+
+  winston.info('autoscaler status', { reason, status: 'terminated' });
+  process.exit(0);
+};
+
+const DESCRIPTION =
+  'Launch cloud runners for queued jobs and terminate idle ones';
+const DOCSURL = 'https://cml.dev/doc/ref/runner#autoscale';
+
+exports.command = 'autoscale';
+exports.description = `${DESCRIPTION}\n${DOCSURL}`;
+
+exports.handler = async (opts) => {
+  const { cml, min, max, interval } = opts;
+  if (min > max) throw new Error('--min must not exceed --max');
+
+  let stopping = false;
+  ['SIGTERM', 'SIGINT', 'SIGQUIT'].forEach((signal) => {
+    process.on(signal, () => {
+      if (stopping) return;
+      stopping = true;
+      shutdown({ ...opts, reason: signal });
+    });
+  });
+
+  await cml.repoTokenCheck();
+
+  const idleSince = new Map();
+  for (;;) {
+    try {
+      await scale(opts, idleSince);
+    } catch (err) {
+      winston.error(`Autoscaling failed: ${err.message}`);
+    }
+    await sleep(interval);
+    // No more rounds once shutting down, or they would launch runners again.
+    if (stopping) return;
+  }
+};
+
+exports.builder = (yargs) =>
+  yargs
+    .env('CML_RUNNER')
+    .option('options', { default: exports.options, hidden: true })
+    .options(exports.options);
+
+exports.options = kebabcaseKeys({
+  labels: {
+    ...launchOptions.labels,
+    description:
+      'Labels of the runners launched, also used to find queued jobs (delimited with commas)'
+  },
+  min: {
+    type: 'number',
+    default: 0,
+    description: 'Number of runners kept online while there are no jobs'
+  },
+  max: {
+    type: 'number',
+    default: 1,
+    description: 'Maximum number of runners online at once'
+  },
+  interval: {
+    ...launchOptions['idle-timeout'],
+    default: '30 seconds',
+    description: 'Time between checks for queued jobs (e.g. "1min")'
+  },
+  idleTimeout: {
+    ...launchOptions['idle-timeout'],
+    description:
+      'Time a runner waits for jobs before being terminated, unless needed to keep --min runners'
+  },
+  name: {
+    type: 'string',
+    default: 'cml-autoscale',
+    description: 'Prefix of the names of the runners launched'
+  },
+  cloud: {
+    ...launchOptions.cloud,
+    choices: launchOptions.cloud.choices.filter((cloud) => cloud !== 'docker'),
+    demandOption: true
+  },
+  ...Object.fromEntries(
+    Object.entries(launchOptions).filter(
+      ([key]) =>
+        key.startsWith('cloud-') ||
+        ['docker-volumes', 'tpi-version', 'cml-version'].includes(key)
+    )
+  )
+});
+exports.DOCSURL = DOCSURL;
+exports.scale = scale;
+exports.shutdown = shutdown;
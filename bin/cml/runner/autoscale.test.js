@@ -0,0 +1,202 @@
+const fs = require('fs').promises;
+const { homedir } = require('os');
+const { join } = require('path');
+const tempy = require('tempy');
+
+const { exec } = require('../../../src/utils');
+const tf = require('../../../src/terraform');
+const { runCloud } = require('./launch');
+const { scale, shutdown } = require('./autoscale');
+
+jest.mock('../../../src/terraform');
+jest.mock('./launch', () => ({
+  ...jest.requireActual('./launch'),
+  runCloud: jest.fn()
+}));
+jest.mock('os', () => ({ ...jest.requireActual('os'), homedir: jest.fn() }));
+
+describe('CML e2e', () => {
+  test('cml runner autoscale --help', async () => {
+    const output = await exec(`node ./bin/cml.js runner autoscale --help`);
+
+    expect(output).toMatchInlineSnapshot(`
+      "cml.js runner autoscale
+
+      Launch cloud runners for queued jobs and terminate idle ones
+      https://cml.dev/doc/ref/runner#autoscale
+
+      Global Options:
+        --log     Logging verbosity
+                [string] [choices: \\"error\\", \\"warn\\", \\"info\\", \\"debug\\"] [default: \\"info\\"]
+        --driver  Git provider where the repository is hosted
+        [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\", \\"gitea\\", \\"azure\\", \\"local\\"]
+                                                 [default: infer from the environment]
+        --repo    Repository URL or slug[string] [default: infer from the environment]
+        --token   Personal access token [string] [default: infer from the environment]
+        --help    Show help                                                  [boolean]
+
+      Options:
+        --labels                                  Labels of the runners launched, also
+                                                  used to find queued jobs (delimited
+                                                  with commas)
+                                                             [string] [default: \\"cml\\"]
+        --min                                     Number of runners kept online while
+                                                  there are no jobs
+                                                                 [number] [default: 0]
+        --max                                     Maximum number of runners online at
+                                                  once           [number] [default: 1]
+        --interval                                Time between checks for queued jobs
+                                                  (e.g. \\"1min\\")
+                                                      [string] [default: \\"30 seconds\\"]
+        --idle-timeout                            Time a runner waits for jobs before
+                                                  being terminated, unless needed to
+                                                  keep --min runners
+                                                       [string] [default: \\"5 minutes\\"]
+        --name                                    Prefix of the names of the runners
+                                                  launched
+                                                   [string] [default: \\"cml-autoscale\\"]
+        --cloud                                   Cloud to deploy the runner
+                    [string] [required] [choices: \\"aws\\", \\"azure\\", \\"gcp\\", \\"kubernetes\\"]
+        --docker-volumes                          Docker volumes, only supported in
+                                                  GitLab         [array] [default: []]
+        --cloud-region                            Region where the instance is
+                                                  deployed. Choices: [us-east,
+                                                  us-west, eu-west, eu-north]. Also
+                                                  accepts native cloud regions
+                                                         [string] [default: \\"us-west\\"]
+        --cloud-type                              Instance type. Choices: [m, l, xl].
+                                                  Also supports native types like i.e.
+                                                  t2.micro                    [string]
+        --cloud-permission-set                    Specifies the instance profile in
+                                                  AWS or instance service account in
+                                                  GCP           [string] [default: \\"\\"]
+        --cloud-metadata                          Key Value pairs to associate
+                                                  cml-runner instance on the provider
+                                                  i.e. tags/labels \\"key=value\\"
+                                                                 [array] [default: []]
+        --cloud-gpu                               GPU type. Choices: k80, v100, or
+                                                  native types e.g. nvidia-tesla-t4
+                                                                              [string]
+        --cloud-hdd-size                          HDD size in GB              [number]
+        --cloud-ssh-private                       Custom private RSA SSH key. If not
+                                                  provided an automatically generated
+                                                  throwaway key will be used  [string]
+        --cloud-spot                              Request a spot instance    [boolean]
+        --cloud-spot-price                        Maximum spot instance bidding price
+                                                  in USD. Defaults to the current spot
+                                                  bidding price [number] [default: -1]
+        --cloud-startup-script                    Run the provided Base64-encoded
+                                                  Linux shell script during the
+                                                  instance initialization     [string]
+        --cloud-aws-security-group                Specifies the security group in AWS
+                                                                [string] [default: \\"\\"]
+        --cloud-aws-subnet,                       Specifies the subnet to use within
+        --cloud-aws-subnet-id                     AWS           [string] [default: \\"\\"]"
+    `);
+  });
+});
+
+describe('Runner autoscaling', () => {
+  const opts = { labels: 'cml', min: 1, max: 3, idleTimeout: 300 };
+  let runners;
+  let queued;
+  let cml;
+  let home;
+
+  const deploy = async (name, age = 0) => {
+    const state = join(home, '.cml', name, 'terraform.tfstate');
+    await fs.mkdir(join(home, '.cml', name), { recursive: true });
+    await fs.writeFile(state, '{}');
+    const time = new Date(Date.now() - age * 1000);
+    await fs.utimes(state, time, time);
+  };
+  const launched = () => runCloud.mock.calls.map(([{ workdir }]) => workdir);
+  const destroyed = () => tf.destroy.mock.calls.map(([{ dir }]) => dir);
+
+  beforeEach(() => {
+    home = tempy.directory();
+    homedir.mockReturnValue(home);
+    runners = [];
+    queued = [];
+    cml = {
+      runners: jest.fn(async () => runners),
+      queuedJobs: jest.fn(async () => queued),
+      unregisterRunner: jest.fn()
+    };
+    opts.cml = cml;
+    opts.name = 'pool';
+  });
+
+  afterEach(async () => {
+    await fs.rm(home, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  test('runners are launched for queued jobs up to max', async () => {
+    queued = [{ id: 1 }, { id: 2 }];
+    await scale(opts, new Map());
+    expect(launched()).toHaveLength(2);
+    expect(runCloud.mock.calls[0][0]).toMatchObject({
+      idleTimeout: 0,
+      single: false
+    });
+    expect(cml.queuedJobs).toHaveBeenCalledWith({ labels: 'cml' });
+
+    runCloud.mockClear();
+    await deploy('pool-1');
+    runners = [{ id: 1, name: 'pool-1', online: true, busy: true }];
+    queued = [{ id: 2 }, { id: 3 }, { id: 4 }];
+    await scale(opts, new Map());
+    expect(launched()).toHaveLength(2);
+    expect(launched()[0]).toMatch(join(home, '.cml', 'pool-'));
+  });
+
+  test('idle runners above min are terminated after the idle timeout', async () => {
+    await deploy('pool-1');
+    await deploy('pool-2');
+    await deploy('other-1');
+    runners = [
+      { id: 1, name: 'pool-1', online: true, busy: false },
+      { id: 2, name: 'pool-2', online: true, busy: false },
+      { id: 3, name: 'other-1', online: true, busy: false }
+    ];
+
+    const idleSince = new Map();
+    await scale(opts, idleSince);
+    expect(destroyed()).toEqual([]);
+
+    idleSince.set('pool-2', Date.now() - 600 * 1000);
+    await scale(opts, idleSince);
+    expect(destroyed()).toEqual([join(home, '.cml', 'pool-2')]);
+    expect(cml.unregisterRunner).toHaveBeenCalledTimes(1);
+    expect(launched()).toEqual([]);
+  });
+
+  test('runners that never register are replaced', async () => {
+    await deploy('pool-1', 60 * 60);
+    await deploy('pool-2', 60);
+    queued = [{ id: 1 }, { id: 2 }];
+
+    await scale(opts, new Map());
+    expect(destroyed()).toEqual([join(home, '.cml', 'pool-1')]);
+    expect(cml.unregisterRunner).not.toHaveBeenCalled();
+    expect(launched()).toHaveLength(1);
+  });
+
+  test('shutting down terminates the idle runners of the pool and exits', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    await deploy('pool-1');
+    await deploy('pool-2');
+    await deploy('other-1');
+    runners = [
+      { id: 1, name: 'pool-1', online: true, busy: true },
+      { id: 2, name: 'pool-2', online: true, busy: false },
+      { id: 3, name: 'other-1', online: true, busy: false }
+    ];
+
+    await shutdown({ ...opts, reason: 'SIGTERM' });
+    expect(destroyed()).toEqual([join(home, '.cml', 'pool-2')]);
+    expect(exit).toHaveBeenCalledWith(0);
+    exit.mockRestore();
+  });
+});
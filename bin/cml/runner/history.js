@@ -0,0 +1,84 @@
+const { join } = require('path');
+const { homedir } = require('os');
+const fs = require('fs').promises;
+const kebabcaseKeys = require('kebabcase-keys');
+
+const { fileExists } = require('../../../src/utils');
+const {
+  journalPath,
+  readJournal,
+  summarizeJournal
+} = require('../../../src/journal');
+const { runnerWorkdir, givenWorkdir } = require('./terminate');
+
+const DESCRIPTION =
+  'Summarize the jobs of the runners launched on this machine';
+const DOCSURL = 'https://cml.dev/doc/ref/runner#history';
+
+exports.command = 'history [name]';
+exports.description = `${DESCRIPTION}\n${DOCSURL}`;
+
+// Runners launched without --workdir keep their journals in ~/.cml/<name>.
+const workdirs = async (opts) => {
+  const { name } = opts;
+  const workdir = givenWorkdir(opts);
+  if (workdir) return [{ name: name || workdir, workdir }];
+
+  if (name) return [{ name, workdir: runnerWorkdir(name) }];
+
+  let names = [];
+  try {
+    names = await fs.readdir(join(homedir(), '.cml'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const runners = [];
+  for (const name of names.sort()) {
+    const workdir = runnerWorkdir(name);
+    if (await fileExists(journalPath(workdir))) runners.push({ name, workdir });
+  }
+  return runners;
+};
+
+exports.handler = async (opts) => {
+  const { name, json } = opts;
+  const workdir = givenWorkdir(opts);
+
+  const runners = [];
+  for (const { name, workdir } of await workdirs(opts)) {
+    const entries = await readJournal({ workdir });
+    runners.push({ name, ...summarizeJournal(entries), entries });
+  }
+
+  if ((name || workdir) && !runners[0].entries.length)
+    throw new Error(`No history found for runner ${runners[0].name}`);
+
+  if (json) return console.log(JSON.stringify(runners, null, 2));
+
+  for (const runner of runners) {
+    const { jobs, succeeded, failed, running, meanDuration } = runner;
+    console.log(
+      `${runner.name}: ${jobs} job(s), ${succeeded} succeeded, ${failed} failed, ${running} running, ${meanDuration}s on average`
+    );
+  }
+};
+
+exports.builder = (yargs) =>
+  yargs
+    .env('CML_RUNNER')
+    .option('options', { default: exports.options, hidden: true })
+    .options(exports.options);
+
+exports.options = kebabcaseKeys({
+  workdir: {
+    type: 'string',
+    alias: 'path',
+    description: 'Working directory of a runner launched with --workdir'
+  },
+  json: {
+    type: 'boolean',
+    description: 'Output the summaries and events as JSON'
+  }
+});
+exports.DOCSURL = DOCSURL;
@@ -0,0 +1,105 @@
+const fs = require('fs').promises;
+const { homedir } = require('os');
+const { join } = require('path');
+const tempy = require('tempy');
+
+const { exec } = require('../../../src/utils');
+const { appendJournal } = require('../../../src/journal');
+const { handler } = require('./history');
+
+jest.mock('os', () => ({ ...jest.requireActual('os'), homedir: jest.fn() }));
+
+describe('CML e2e', () => {
+  test('cml runner history --help', async () => {
+    const output = await exec(`node ./bin/cml.js runner history --help`);
+
+    expect(output).toMatchInlineSnapshot(`
+      "cml.js runner history [name]
+
+      Summarize the jobs of the runners launched on this machine
+      https://cml.dev/doc/ref/runner#history
+
+      Global Options:
+        --log     Logging verbosity
+                [string] [choices: \\"error\\", \\"warn\\", \\"info\\", \\"debug\\"] [default: \\"info\\"]
+        --driver  Git provider where the repository is hosted
+        [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\", \\"gitea\\", \\"azure\\", \\"local\\"]
+                                                 [default: infer from the environment]
+        --repo    Repository URL or slug[string] [default: infer from the environment]
+        --token   Personal access token [string] [default: infer from the environment]
+        --help    Show help                                                  [boolean]
+
+      Options:
+        --workdir, --path  Working directory of a runner launched with --workdir
+                                                                              [string]
+        --json             Output the summaries and events as JSON           [boolean]"
+    `);
+  });
+});
+
+describe('Runner history', () => {
+  let home;
+  let log;
+
+  beforeEach(async () => {
+    home = tempy.directory();
+    homedir.mockReturnValue(home);
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const workdir = join(home, '.cml', 'cml-1');
+    await fs.mkdir(workdir, { recursive: true });
+    await fs.mkdir(join(home, '.cml', 'cml-2'));
+    for (const entry of [
+      { status: 'ready' },
+      { status: 'job_started', job: 1 },
+      { status: 'job_ended', job: 1, success: true, duration: 40 },
+      { status: 'job_started', job: 2 },
+      { status: 'job_ended', job: 2, success: false, duration: 20 }
+    ])
+      await appendJournal({ workdir, entry });
+  });
+
+  afterEach(async () => {
+    await fs.rm(home, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('runners with a journal are summarized', async () => {
+    await handler({});
+    expect(log.mock.calls).toEqual([
+      ['cml-1: 2 job(s), 1 succeeded, 1 failed, 0 running, 30s on average']
+    ]);
+
+    log.mockClear();
+    await handler({ name: 'cml-1', json: true });
+    const [runner] = JSON.parse(log.mock.calls[0][0]);
+    expect(runner).toMatchObject({ name: 'cml-1', jobs: 2, running: 0 });
+    expect(runner.entries).toHaveLength(5);
+
+    await expect(handler({ name: 'cml-2' })).rejects.toThrow(
+      'No history found for runner cml-2'
+    );
+  });
+
+  test('only a --workdir given on the command line picks the runner', async () => {
+    const workdir = join(home, '.cml', 'cml-1');
+
+    // Set through CML_RUNNER_PATH rather than on the command line.
+    await handler({ workdir: join(home, 'runner') });
+    expect(log.mock.calls).toEqual([
+      ['cml-1: 2 job(s), 1 succeeded, 1 failed, 0 running, 30s on average']
+    ]);
+
+    log.mockClear();
+    const { argv } = process;
+    process.argv = [...argv, `--path=${workdir}`];
+    try {
+      await handler({ workdir });
+    } finally {
+      process.argv = argv;
+    }
+    expect(log.mock.calls).toEqual([
+      [`${workdir}: 2 job(s), 1 succeeded, 1 failed, 0 running, 30s on average`]
+    ]);
+  });
+});
@@ -1,5 +1,6 @@
 const { join } = require('path');
 const { homedir } = require('os');
+const { spawn } = require('child_process');
 const fs = require('fs').promises;
 const net = require('net');
 const kebabcaseKeys = require('kebabcase-keys');
@@ -8,12 +9,19 @@ const winston = require('winston');
 
 const { exec, randid, sleep } = require('../../../src/utils');
 const tf = require('../../../src/terraform');
+const { serveMetrics } = require('../../../src/prometheus');
+const { appendJournal } = require('../../../src/journal');
 
 let cml;
 let RUNNER;
+let CONTAINER;
 let RUNNER_SHUTTING_DOWN = false;
 let RUNNER_TIMER = 0;
-const RUNNER_JOBS_RUNNING = [];
+let RUNNER_SHUTDOWN_REASON;
+// Jobs running, keyed by job id, or by start date for drivers without ids.
+const RUNNER_JOBS_RUNNING = new Map();
+const RUNNER_JOBS = { started: 0, ended: 0, succeeded: 0 };
+const RUNNER_LAUNCHED = Date.now();
 const GH_5_MIN_TIMEOUT = (35 * 24 * 60 - 5) * 60 * 1000;
 
 const { RUNNER_NAME } = process.env;
@@ -22,8 +30,9 @@ const shutdown = async (opts) => {
   if (RUNNER_SHUTTING_DOWN) return;
   RUNNER_SHUTTING_DOWN = true;
 
-  const { error, cloud } = opts;
+  const { error, cloud, containerEngine } = opts;
   const { name, tfResource, noRetry, reason, destroyDelay } = opts;
+  RUNNER_SHUTDOWN_REASON = reason || (error && error.message);
 
   const unregisterRunner = async () => {
     if (!RUNNER) return;
@@ -40,11 +49,11 @@ const shutdown = async (opts) => {
 
   const retryWorkflows = async () => {
     try {
-      if (!noRetry && RUNNER_JOBS_RUNNING.length > 0) {
+      if (!noRetry && RUNNER_JOBS_RUNNING.size > 0) {
         winston.info(`Still pending jobs, retrying workflow...`);
 
         await Promise.all(
-          RUNNER_JOBS_RUNNING.map(
+          [...RUNNER_JOBS_RUNNING.values()].map(
             async (job) =>
               await cml.pipelineRerun({ id: job.pipeline, jobId: job.id })
           )
@@ -74,6 +83,20 @@ const shutdown = async (opts) => {
     }
   };
 
+  // The runner inside unregisters itself once the container is stopped.
+  const stopContainer = async () => {
+    if (!CONTAINER || CONTAINER.exitCode !== null) return;
+
+    try {
+      winston.info(`Stopping container ${name}...`);
+      await exec(`${containerEngine} stop --time 30 ${name}`);
+    } catch (err) {
+      winston.error(`\tFailed stopping container: ${err.message}`);
+    }
+  };
+
+  await stopContainer();
+
   if (!cloud) {
     try {
       await unregisterRunner();
@@ -91,11 +114,57 @@ const shutdown = async (opts) => {
   process.exit(0);
 };
 
+const runnerMetrics = () => [
+  {
+    name: 'cml_runner_jobs_started_total',
+    type: 'counter',
+    help: 'Jobs started by the runner',
+    value: RUNNER_JOBS.started
+  },
+  {
+    name: 'cml_runner_jobs_ended_total',
+    type: 'counter',
+    help: 'Jobs ended by the runner, whatever their result',
+    value: RUNNER_JOBS.ended
+  },
+  {
+    name: 'cml_runner_jobs_succeeded_total',
+    type: 'counter',
+    help: 'Jobs ended successfully by the runner',
+    value: RUNNER_JOBS.succeeded
+  },
+  {
+    name: 'cml_runner_jobs_running',
+    type: 'gauge',
+    help: 'Jobs the runner is running',
+    value: RUNNER_JOBS_RUNNING.size
+  },
+  {
+    name: 'cml_runner_idle_seconds',
+    type: 'gauge',
+    help: 'Seconds the runner has been waiting for jobs',
+    value: RUNNER_TIMER
+  },
+  {
+    name: 'cml_runner_uptime_seconds',
+    type: 'gauge',
+    help: 'Seconds since the runner was launched',
+    value: Math.floor((Date.now() - RUNNER_LAUNCHED) / 1000)
+  },
+  {
+    name: 'cml_runner_shutdown',
+    type: 'gauge',
+    help: 'Whether the runner is shutting down, and why',
+    labels: { reason: RUNNER_SHUTDOWN_REASON || '' },
+    value: RUNNER_SHUTTING_DOWN ? 1 : 0
+  }
+];
+
 const runCloud = async (opts) => {
   const runTerraform = async (opts) => {
     winston.info('Terraform apply...');
 
-    const { token, repo, driver } = cml;
+    const { token, repo, driver } = opts.cml;
     const {
       tpiVersion,
       labels,
@@ -204,6 +273,70 @@ const runCloud = async (opts) => {
   }
 };
 
+const runContainer = async (opts) => {
+  const {
+    workdir,
+    name,
+    labels,
+    single,
+    idleTimeout,
+    noRetry,
+    dockerVolumes,
+    cloudGpu: gpu,
+    containerImage: image,
+    containerEngine: engine,
+    metricsPort,
+    log
+  } = opts;
+
+  winston.info(`Launching ${cml.driver} runner in a ${engine} container`);
+
+  const gpus = {
+    docker: ['--gpus', 'all'],
+    podman: ['--device', 'nvidia.com/gpu=all']
+  };
+  // The image runs `cml` by default and reads its workdir from CML_RUNNER_PATH.
+  const args = [
+    'run',
+    '--rm',
+    '--name',
+    name,
+    '--volume',
+    `${workdir}:/home/runner`,
+    '--env',
+    'REPO_TOKEN',
+    ...(gpu ? gpus[engine] : []),
+    ...(metricsPort ? ['--publish', `${metricsPort}:${metricsPort}`] : []),
+    image,
+    'runner',
+    'launch',
+    `--driver=${cml.driver}`,
+    `--repo=${cml.repo}`,
+    `--name=${name}`,
+    `--labels=${labels}`,
+    `--idle-timeout=${idleTimeout}`,
+    ...(log ? [`--log=${log}`] : []),
+    ...(single ? ['--single'] : []),
+    ...(noRetry ? ['--no-retry'] : []),
+    ...(metricsPort ? [`--metrics-port=${metricsPort}`] : []),
+    ...dockerVolumes.map((volume) => `--docker-volumes=${volume}`)
+  ];
+
+  const proc = spawn(engine, args, {
+    env: { ...process.env, REPO_TOKEN: cml.token },
+    stdio: ['ignore', 'inherit', 'inherit']
+  });
+
+  proc.on('error', (error) => shutdown({ ...opts, error }));
+  proc.on('close', (exit) => {
+    const reason = `container exited with code ${exit}`;
+    if (exit === 0) shutdown({ ...opts, reason });
+    else shutdown({ ...opts, error: new Error(reason) });
+  });
+
+  CONTAINER = proc;
+};
+
 const runLocal = async (opts) => {
   winston.info(`Launching ${cml.driver} runner`);
   const {
@@ -215,7 +348,8 @@ const runLocal = async (opts) => {
     noRetry,
     dockerVolumes,
     tfResource,
-    tpiVersion
+    tpiVersion,
+    metricsPort
   } = opts;
 
   if (tfResource) {
@@ -256,20 +390,65 @@ const runLocal = async (opts) => {
     });
   }
 
+  if (metricsPort) {
+    await serveMetrics({
+      port: metricsPort,
+      labels: { name },
+      metrics: runnerMetrics,
+      healthy: () => !RUNNER_SHUTTING_DOWN
+    });
+    winston.info(`Serving /metrics and /healthz on port ${metricsPort}`);
+  }
+
   const dataHandler = async (data) => {
     const logs = await cml.parseRunnerLog({ data, name });
     for (const log of logs) {
       winston.info('runner status', log);
 
-      if (log.status === 'job_started') {
-        const { job: id, pipeline, date } = log;
-        RUNNER_JOBS_RUNNING.push({ id, pipeline, date });
+      const { status, date } = log;
+      let entry = { status, date };
+
+      if (status === 'job_started') {
+        const { job: id, pipeline } = log;
+        RUNNER_JOBS_RUNNING.set(id || date, { id, pipeline, date });
+        RUNNER_JOBS.started++;
+        entry = { ...entry, job: id, pipeline };
+      }
+
+      if (status === 'job_ended') {
+        // Drivers that don't log the id of the job ended run one at a time,
+        // so it can only be the oldest one running.
+        const [key] = RUNNER_JOBS_RUNNING.has(log.job)
+          ? [log.job]
+          : RUNNER_JOBS_RUNNING.keys();
+        const {
+          id,
+          pipeline,
+          date: started
+        } = RUNNER_JOBS_RUNNING.get(key) || {};
+        RUNNER_JOBS_RUNNING.delete(key);
+        RUNNER_JOBS.ended++;
+        if (log.success) RUNNER_JOBS.succeeded++;
+
+        entry = {
+          ...entry,
+          job: id || log.job,
+          pipeline,
+          success: log.success,
+          duration: started
+            ? (new Date(date) - new Date(started)) / 1000
+            : undefined
+        };
       }
 
-      if (log.status === 'job_ended') {
-        RUNNER_JOBS_RUNNING.pop();
-        if (single) await shutdown({ ...opts, reason: 'single job' });
+      try {
+        await appendJournal({ workdir, entry });
+      } catch (err) {
+        winston.warn(`Failed writing the runner journal: ${err.message}`);
       }
+
+      if (status === 'job_ended' && single)
+        await shutdown({ ...opts, reason: 'single job' });
     }
   };
 
@@ -294,18 +473,17 @@ const runLocal = async (opts) => {
   });
 
   RUNNER = proc;
-  if (idleTimeout > 0) {
-    const watcher = setInterval(async () => {
-      const idle = RUNNER_JOBS_RUNNING.length === 0;
+  // Idle time is counted even without a timeout, as it's also a metric.
+  const watcher = setInterval(async () => {
+    const idle = RUNNER_JOBS_RUNNING.size === 0;
 
-      if (RUNNER_TIMER >= idleTimeout) {
-        shutdown({ ...opts, reason: `timeout:${idleTimeout}` });
-        clearInterval(watcher);
-      }
+    if (idleTimeout > 0 && RUNNER_TIMER >= idleTimeout) {
+      shutdown({ ...opts, reason: `timeout:${idleTimeout}` });
+      clearInterval(watcher);
+    }
 
-      RUNNER_TIMER = idle ? RUNNER_TIMER + 1 : 0;
-    }, 1000);
-  }
+    RUNNER_TIMER = idle ? RUNNER_TIMER + 1 : 0;
+  }, 1000);
 
   if (!noRetry) {
     if (cml.driver === 'github') {
@@ -336,8 +514,16 @@ const run = async (opts) => {
     process.on(signal, () => shutdown({ ...opts, reason: signal }));
   });
 
-  const { workdir, cloud, labels, name, reuse, reuseIdle, dockerVolumes } =
-    opts;
+  const {
+    workdir,
+    cloud,
+    labels,
+    name,
+    reuse,
+    reuseIdle,
+    dockerVolumes,
+    metricsPort
+  } = opts;
 
   await cml.repoTokenCheck();
 
@@ -383,6 +569,9 @@ const run = async (opts) => {
     }
   }
 
+  if (metricsPort && cloud && cloud !== 'docker')
+    winston.warn('Parameter --metrics-port is ignored by cloud runners');
+
   if (dockerVolumes.length && cml.driver !== 'gitlab')
     winston.warn('Parameters --docker-volumes is only supported in gitlab');
 
@@ -400,7 +589,8 @@ const run = async (opts) => {
   await fs.mkdir(workdir, { recursive: true });
   await fs.chmod(workdir, '766');
 
-  if (cloud) await runCloud(opts);
+  if (cloud === 'docker') await runContainer(opts);
+  else if (cloud) await runCloud(opts);
   else await runLocal(opts);
 };
 
@@ -482,7 +672,7 @@ exports.options = kebabcaseKeys({
   },
   cloud: {
     type: 'string',
-    choices: ['aws', 'azure', 'gcp', 'kubernetes'],
+    choices: ['aws', 'azure', 'gcp', 'kubernetes', 'docker'],
     description: 'Cloud to deploy the runner',
     telemetryData: 'full'
   },
@@ -559,6 +749,22 @@ exports.options = kebabcaseKeys({
     description: 'Specifies the subnet to use within AWS',
     alias: 'cloud-aws-subnet-id'
   },
+  metricsPort: {
+    type: 'number',
+    description:
+      'Port serving the /healthz and Prometheus /metrics endpoints of the runner'
+  },
+  containerImage: {
+    type: 'string',
+    default: 'iterativeai/cml',
+    description: 'Image of the container runners launched with --cloud=docker'
+  },
+  containerEngine: {
+    type: 'string',
+    choices: ['docker', 'podman'],
+    default: 'docker',
+    description: 'Engine running the containers of --cloud=docker'
+  },
   tpiVersion: {
     type: 'string',
     default: '>= 0.9.10',
@@ -585,3 +791,5 @@ exports.options = kebabcaseKeys({
   }
 });
 exports.DOCSURL = DOCSURL;
+exports.runCloud = runCloud;
+exports.shutdown = shutdown;
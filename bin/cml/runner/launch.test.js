@@ -1,4 +1,15 @@
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const tempy = require('tempy');
+
 const { exec } = require('../../../src/utils');
+const { readJournal } = require('../../../src/journal');
+const { handler } = require('./launch');
+
+jest.mock('child_process', () => ({
+  ...jest.requireActual('child_process'),
+  spawn: jest.fn()
+}));
 
 describe('CML e2e', () => {
   test('cml-runner --help', async () => {
@@ -10,18 +21,173 @@ describe('CML e2e', () => {
       Manage self-hosted (cloud & on-premise) CI runners
 
       Commands:
-        cml.js runner launch  Launch and register a self-hosted runner
-                              https://cml.dev/doc/ref/runner
+        cml.js runner autoscale         Launch cloud runners for queued jobs and
+                                        terminate idle ones
+                                        https://cml.dev/doc/ref/runner#autoscale
+        cml.js runner history [name]    Summarize the jobs of the runners launched on
+                                        this machine
+                                        https://cml.dev/doc/ref/runner#history
+        cml.js runner launch            Launch and register a self-hosted runner
+                                        https://cml.dev/doc/ref/runner
+        cml.js runner list              List self-hosted runners
+                                        https://cml.dev/doc/ref/runner#list
+        cml.js runner terminate [name]  Unregister self-hosted runners and destroy
+                                        their instances
+                                        https://cml.dev/doc/ref/runner#terminate
 
       Global Options:
         --log     Logging verbosity
                 [string] [choices: \\"error\\", \\"warn\\", \\"info\\", \\"debug\\"] [default: \\"info\\"]
         --driver  Git provider where the repository is hosted
-          [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\"] [default: infer from the
-                                                                          environment]
+        [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\", \\"gitea\\", \\"azure\\", \\"local\\"]
+                                                 [default: infer from the environment]
         --repo    Repository URL or slug[string] [default: infer from the environment]
         --token   Personal access token [string] [default: infer from the environment]
         --help    Show help                                                  [boolean]"
     `);
   });
 });
+
+describe('Container runners', () => {
+  test('the runner is launched inside a container', async () => {
+    const proc = new EventEmitter();
+    spawn.mockReturnValue(proc);
+    jest.spyOn(process, 'on').mockImplementation(() => process);
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+
+    const cml = {
+      driver: 'github',
+      repo: 'https://github.com/owner/repo',
+      token: 'secret',
+      repoTokenCheck: jest.fn(),
+      runners: jest.fn(async () => []),
+      runnerByName: jest.fn()
+    };
+    const workdir = tempy.directory();
+    await handler({
+      cml,
+      cloud: 'docker',
+      name: 'cml-container',
+      labels: 'cml,gpu',
+      idleTimeout: 300,
+      single: true,
+      dockerVolumes: [],
+      cloudGpu: 'v100',
+      containerImage: 'iterativeai/cml:latest',
+      containerEngine: 'podman',
+      workdir
+    });
+
+    const [engine, args, { env }] = spawn.mock.calls[0];
+    expect(engine).toBe('podman');
+    expect(args).toEqual([
+      'run',
+      '--rm',
+      '--name',
+      'cml-container',
+      '--volume',
+      `${workdir}:/home/runner`,
+      '--env',
+      'REPO_TOKEN',
+      '--device',
+      'nvidia.com/gpu=all',
+      'iterativeai/cml:latest',
+      'runner',
+      'launch',
+      '--driver=github',
+      '--repo=https://github.com/owner/repo',
+      '--name=cml-container',
+      '--labels=cml,gpu',
+      '--idle-timeout=300',
+      '--single'
+    ]);
+    expect(env.REPO_TOKEN).toBe('secret');
+
+    // Containers that exit by themselves take the runner down with them.
+    proc.exitCode = 0;
+    proc.emit('close', 0);
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(exit).toHaveBeenCalledWith(0);
+
+    jest.restoreAllMocks();
+  });
+});
+
+describe('Local runners', () => {
+  test('jobs are tracked and journaled by id', async () => {
+    let launch;
+    jest.isolateModules(() => (launch = require('./launch')));
+    jest.spyOn(process, 'on').mockImplementation(() => process);
+    jest.spyOn(global, 'setInterval').mockReturnValue(0);
+
+    const proc = new EventEmitter();
+    proc.stdout = new EventEmitter();
+    proc.stderr = new EventEmitter();
+    const logs = {
+      first: { status: 'job_started', job: '1', pipeline: '10' },
+      second: { status: 'job_started', job: '2', pipeline: '20' },
+      firstEnded: { status: 'job_ended', job: '1', success: true },
+      // Some drivers don't log which job ended.
+      secondEnded: { status: 'job_ended', success: false }
+    };
+    const dates = {
+      first: '2022-06-05T16:00:00.000Z',
+      second: '2022-06-05T16:01:00.000Z',
+      firstEnded: '2022-06-05T16:02:00.000Z',
+      secondEnded: '2022-06-05T16:06:00.000Z'
+    };
+    const cml = {
+      driver: 'gitlab',
+      repoTokenCheck: jest.fn(),
+      runners: jest.fn(async () => []),
+      runnerByName: jest.fn(),
+      startRunner: jest.fn(async () => proc),
+      parseRunnerLog: jest.fn(async ({ data }) => [
+        { ...logs[data], date: dates[data] }
+      ])
+    };
+    const workdir = tempy.directory();
+    await launch.handler({
+      cml,
+      name: 'cml-local',
+      labels: 'cml',
+      idleTimeout: 0,
+      noRetry: true,
+      dockerVolumes: [],
+      workdir
+    });
+
+    const journaled = async (length) => {
+      for (;;) {
+        const entries = await readJournal({ workdir });
+        if (entries.length === length) return entries;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+    };
+    for (const [index, data] of Object.keys(logs).entries()) {
+      proc.stdout.emit('data', data);
+      await journaled(index + 1);
+    }
+
+    expect((await journaled(4)).slice(2)).toEqual([
+      {
+        status: 'job_ended',
+        date: dates.firstEnded,
+        job: '1',
+        pipeline: '10',
+        success: true,
+        duration: 120
+      },
+      {
+        status: 'job_ended',
+        date: dates.secondEnded,
+        job: '2',
+        pipeline: '20',
+        success: false,
+        duration: 300
+      }
+    ]);
+
+    jest.restoreAllMocks();
+  });
+});
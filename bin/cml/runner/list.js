@@ -0,0 +1,46 @@
+const kebabcaseKeys = require('kebabcase-keys');
+
+const DESCRIPTION = 'List self-hosted runners';
+const DOCSURL = 'https://cml.dev/doc/ref/runner#list';
+
+exports.command = 'list';
+exports.description = `${DESCRIPTION}\n${DOCSURL}`;
+
+exports.handler = async (opts) => {
+  const { cml, labels, json } = opts;
+  const runners = labels
+    ? await cml.runnersByLabels({ labels })
+    : await cml.runners();
+
+  if (json) return console.log(JSON.stringify(runners, null, 2));
+
+  for (const { id, name, labels, online, busy } of runners)
+    console.log(
+      [
+        id,
+        name,
+        labels.join(','),
+        online ? 'online' : 'offline',
+        busy ? 'busy' : 'idle'
+      ].join('\t')
+    );
+};
+
+exports.builder = (yargs) =>
+  yargs
+    .env('CML_RUNNER')
+    .option('options', { default: exports.options, hidden: true })
+    .options(exports.options);
+
+exports.options = kebabcaseKeys({
+  labels: {
+    type: 'string',
+    description:
+      'Only list runners with all these labels (delimited with commas)'
+  },
+  json: {
+    type: 'boolean',
+    description: 'Output the runners as JSON'
+  }
+});
+exports.DOCSURL = DOCSURL;
@@ -0,0 +1,29 @@
+const { exec } = require('../../../src/utils');
+
+describe('CML e2e', () => {
+  test('cml runner list --help', async () => {
+    const output = await exec(`node ./bin/cml.js runner list --help`);
+
+    expect(output).toMatchInlineSnapshot(`
+      "cml.js runner list
+
+      List self-hosted runners
+      https://cml.dev/doc/ref/runner#list
+
+      Global Options:
+        --log     Logging verbosity
+                [string] [choices: \\"error\\", \\"warn\\", \\"info\\", \\"debug\\"] [default: \\"info\\"]
+        --driver  Git provider where the repository is hosted
+        [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\", \\"gitea\\", \\"azure\\", \\"local\\"]
+                                                 [default: infer from the environment]
+        --repo    Repository URL or slug[string] [default: infer from the environment]
+        --token   Personal access token [string] [default: infer from the environment]
+        --help    Show help                                                  [boolean]
+
+      Options:
+        --labels  Only list runners with all these labels (delimited with commas)
+                                                                              [string]
+        --json    Output the runners as JSON                                 [boolean]"
+    `);
+  });
+});
@@ -0,0 +1,102 @@
+const { join } = require('path');
+const { homedir } = require('os');
+const fs = require('fs').promises;
+const kebabcaseKeys = require('kebabcase-keys');
+const winston = require('winston');
+
+const { fileExists } = require('../../../src/utils');
+const tf = require('../../../src/terraform');
+const { options: listOptions } = require('./list');
+
+const DESCRIPTION =
+  'Unregister self-hosted runners and destroy their instances';
+const DOCSURL = 'https://cml.dev/doc/ref/runner#terminate';
+
+exports.command = 'terminate [name]';
+exports.description = `${DESCRIPTION}\n${DOCSURL}`;
+
+// Cloud runners are deployed from the same workdir `cml runner launch` uses,
+// whose Terraform state outlives instances that never registered.
+const runnerWorkdir = (name) => join(homedir(), '.cml', name);
+const runnerState = (name, workdir = runnerWorkdir(name)) =>
+  join(workdir, 'terraform.tfstate');
+
+// The CML image always sets CML_RUNNER_PATH, which yargs reads as --workdir
+// too; only a workdir given on the command line picks out a runner.
+const givenWorkdir = (opts) => {
+  const given = process.argv.some((arg) => /^--(workdir|path)(=|$)/.test(arg));
+  if (given) return opts.workdir;
+};
+
+const terminateRunner = async (opts) => {
+  const { cml, runner, runners, workdir } = opts;
+  const { id, name } = runner;
+  const dir = workdir || runnerWorkdir(name);
+
+  if (id) {
+    winston.info(`Unregistering runner ${name}...`);
+    await cml.unregisterRunner({ name, runners });
+  }
+
+  if (await fileExists(runnerState(name, dir))) {
+    winston.info(`Destroying the instance of runner ${name}...`);
+    await tf.destroy({ dir });
+    // Workdirs given with --workdir belong to the user and are kept.
+    if (!workdir) await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+exports.handler = async (opts) => {
+  const { cml, name, labels, offline } = opts;
+  const workdir = givenWorkdir(opts);
+  if (!name && !labels && !offline)
+    throw new Error('Specify the name of the runner, --labels or --offline');
+  if (workdir && !name)
+    throw new Error('Specify the name of the runner launched with --workdir');
+
+  const runners = await cml.runners();
+  let targets = name
+    ? runners.filter((runner) => runner.name === name)
+    : runners;
+  if (labels) targets = await cml.runnersByLabels({ labels, runners: targets });
+  if (offline) targets = targets.filter(({ online }) => !online);
+
+  if (name && !targets.length) {
+    if (!(await fileExists(runnerState(name, workdir))))
+      throw new Error(`Runner ${name} not found`);
+    targets = [{ name }];
+  }
+
+  for (const runner of targets)
+    await terminateRunner({ cml, runner, runners, workdir });
+
+  winston.info(`Terminated ${targets.length} runner(s)`);
+};
+
+exports.builder = (yargs) =>
+  yargs
+    .env('CML_RUNNER')
+    .option('options', { default: exports.options, hidden: true })
+    .options(exports.options);
+
+exports.options = kebabcaseKeys({
+  labels: {
+    ...listOptions.labels,
+    description:
+      'Terminate the runners with all these labels (delimited with commas)'
+  },
+  offline: {
+    type: 'boolean',
+    description: 'Only terminate runners that are offline'
+  },
+  workdir: {
+    type: 'string',
+    alias: 'path',
+    description: 'Working directory of a runner launched with --workdir'
+  }
+});
+exports.DOCSURL = DOCSURL;
+exports.runnerWorkdir = runnerWorkdir;
+exports.runnerState = runnerState;
+exports.givenWorkdir = givenWorkdir;
+exports.terminateRunner = terminateRunner;
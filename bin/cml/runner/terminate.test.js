@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const { homedir } = require('os');
+const { join } = require('path');
+const tempy = require('tempy');
+
+const { exec } = require('../../../src/utils');
+const tf = require('../../../src/terraform');
+const { handler } = require('./terminate');
+
+jest.mock('../../../src/terraform');
+jest.mock('os', () => ({ ...jest.requireActual('os'), homedir: jest.fn() }));
+
+describe('CML e2e', () => {
+  test('cml runner terminate --help', async () => {
+    const output = await exec(`node ./bin/cml.js runner terminate --help`);
+
+    expect(output).toMatchInlineSnapshot(`
+      "cml.js runner terminate [name]
+
+      Unregister self-hosted runners and destroy their instances
+      https://cml.dev/doc/ref/runner#terminate
+
+      Global Options:
+        --log     Logging verbosity
+                [string] [choices: \\"error\\", \\"warn\\", \\"info\\", \\"debug\\"] [default: \\"info\\"]
+        --driver  Git provider where the repository is hosted
+        [string] [choices: \\"github\\", \\"gitlab\\", \\"bitbucket\\", \\"gitea\\", \\"azure\\", \\"local\\"]
+                                                 [default: infer from the environment]
+        --repo    Repository URL or slug[string] [default: infer from the environment]
+        --token   Personal access token [string] [default: infer from the environment]
+        --help    Show help                                                  [boolean]
+
+      Options:
+        --labels           Terminate the runners with all these labels (delimited with
+                           commas)                                            [string]
+        --offline          Only terminate runners that are offline           [boolean]
+        --workdir, --path  Working directory of a runner launched with --workdir
+                                                                              [string]"
+    `);
+  });
+});
+
+describe('Runner termination', () => {
+  const runners = [
+    { id: 1, name: 'gpu-1', labels: ['cml', 'gpu'], online: true },
+    { id: 2, name: 'gpu-2', labels: ['cml', 'gpu'], online: false },
+    { id: 3, name: 'cpu-1', labels: ['cml'], online: false }
+  ];
+  let cml;
+  let home;
+
+  beforeEach(() => {
+    home = tempy.directory();
+    homedir.mockReturnValue(home);
+    cml = {
+      runners: jest.fn(async () => runners),
+      runnersByLabels: jest.fn(async ({ labels, runners }) =>
+        runners.filter((runner) => runner.labels.includes(labels))
+      ),
+      unregisterRunner: jest.fn()
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(home, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  const unregistered = () =>
+    cml.unregisterRunner.mock.calls.map(([{ name }]) => name);
+
+  test('runners are picked by name, labels or status', async () => {
+    await handler({ cml, labels: 'gpu', offline: true });
+    expect(unregistered()).toEqual(['gpu-2']);
+
+    cml.unregisterRunner.mockClear();
+    await handler({ cml, name: 'gpu-1' });
+    expect(unregistered()).toEqual(['gpu-1']);
+
+    await expect(handler({ cml, name: 'missing' })).rejects.toThrow(
+      'Runner missing not found'
+    );
+    await expect(handler({ cml })).rejects.toThrow(
+      'Specify the name of the runner, --labels or --offline'
+    );
+    expect(tf.destroy).not.toHaveBeenCalled();
+  });
+
+  test('cloud instances are destroyed along with their state', async () => {
+    for (const name of ['cpu-1', 'cloud-1']) {
+      await fs.mkdir(join(home, '.cml', name), { recursive: true });
+      await fs.writeFile(join(home, '.cml', name, 'terraform.tfstate'), '{}');
+    }
+
+    await handler({ cml, name: 'cpu-1' });
+    // Instances that never registered as runners are still destroyed.
+    await handler({ cml, name: 'cloud-1' });
+
+    expect(unregistered()).toEqual(['cpu-1']);
+    expect(tf.destroy.mock.calls.map(([{ dir }]) => dir)).toEqual([
+      join(home, '.cml', 'cpu-1'),
+      join(home, '.cml', 'cloud-1')
+    ]);
+    expect(await fs.readdir(join(home, '.cml'))).toEqual([]);
+  });
+
+  test('runners launched with --workdir are destroyed from there', async () => {
+    const workdir = join(home, 'runner');
+    await fs.mkdir(workdir);
+    await fs.writeFile(join(workdir, 'terraform.tfstate'), '{}');
+
+    // Set through CML_RUNNER_PATH rather than on the command line.
+    await handler({ cml, offline: true, workdir });
+    expect(unregistered()).toEqual(['gpu-2', 'cpu-1']);
+    expect(tf.destroy).not.toHaveBeenCalled();
+
+    const { argv } = process;
+    process.argv = [...argv, '--workdir', workdir];
+    try {
+      await expect(handler({ cml, offline: true, workdir })).rejects.toThrow(
+        'Specify the name of the runner launched with --workdir'
+      );
+      await handler({ cml, name: 'cloud-1', workdir });
+    } finally {
+      process.argv = argv;
+    }
+
+    expect(tf.destroy.mock.calls.map(([{ dir }]) => dir)).toEqual([workdir]);
+    expect(await fs.readdir(workdir)).toEqual(['terraform.tfstate']);
+  });
+});
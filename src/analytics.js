@@ -31,6 +31,8 @@ const {
   BITBUCKET_WORKSPACE,
   BITBUCKET_STEP_TRIGGERER_UUID,
   TF_BUILD,
+  GITEA_ACTIONS,
+  FORGEJO_ACTIONS,
   CI
 } = process.env;
 
@@ -51,6 +53,7 @@ const deterministic = async (data) => {
 };
 
 const guessCI = () => {
+  if (GITEA_ACTIONS || FORGEJO_ACTIONS) return 'gitea';
   if (GITHUB_SERVER_URL) return 'github';
   if (CI_SERVER_URL) return 'gitlab';
   if (BITBUCKET_WORKSPACE) return 'bitbucket';
@@ -69,7 +72,7 @@ const groupId = async () => {
 
   const ci = guessCI();
   let rawId = 'CI';
-  if (ci === 'github') {
+  if (ci === 'github' || ci === 'gitea') {
     rawId = `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY_OWNER}`;
   } else if (ci === 'gitlab') {
     rawId = `${CI_SERVER_URL}/${CI_PROJECT_ROOT_NAMESPACE}`;
@@ -85,7 +88,7 @@ const userId = async ({ cml } = {}) => {
     if (isCI()) {
       let rawId;
       const ci = guessCI();
-      if (ci === 'github') {
+      if (ci === 'github' || ci === 'gitea') {
         const { name, login, id } = await cml
           .getDriver()
           .user({ name: GITHUB_ACTOR });
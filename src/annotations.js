@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+// Annotations pin messages to lines of the repository:
+//
+//   { path, startLine, endLine, startColumn, endColumn,
+//     level: 'notice' | 'warning' | 'failure', title, message, details }
+//
+// where path is relative to the root of the repository and columns are
+// optional.
+
+const SARIF_LEVELS = {
+  error: 'failure',
+  warning: 'warning',
+  note: 'notice',
+  none: 'notice'
+};
+
+const relativePath = (file) => {
+  const absolute = file.startsWith('file:') ? fileURLToPath(file) : file;
+  const relative = path.isAbsolute(absolute)
+    ? path.relative(process.cwd(), absolute)
+    : path.normalize(absolute);
+
+  return relative.split(path.sep).join('/');
+};
+
+const unescapeXml = (text = '') =>
+  text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) =>
+      String.fromCodePoint(parseInt(code, 16))
+    )
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const xmlAttributes = (tag) =>
+  Object.fromEntries(
+    [...tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)].map(
+      ([, name, double, single]) => [name, unescapeXml(double ?? single)]
+    )
+  );
+
+// Failed and errored test cases of JUnit XML reports; test cases without a
+// file attribute can't be pinned to a line and are left out.
+const parseJUnit = (xml) => {
+  const annotations = [];
+
+  const testcases = xml.matchAll(
+    /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g
+  );
+  for (const [, attributes, body = ''] of testcases) {
+    const [, kind, failureAttributes, failureBody = ''] =
+      body.match(
+        /<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:failure|error)>)/
+      ) || [];
+    if (!kind) continue;
+
+    const { file, line, name, classname } = xmlAttributes(attributes);
+    if (!file) continue;
+
+    const { message, type } = xmlAttributes(failureAttributes);
+    const details = unescapeXml(failureBody).trim();
+    const startLine = Math.max(Number(line) || 1, 1);
+
+    annotations.push({
+      path: relativePath(file),
+      startLine,
+      endLine: startLine,
+      level: 'failure',
+      title: [classname, name].filter(Boolean).join('.'),
+      message: message || type || details.split('\n')[0] || `Test ${kind}`,
+      details: details || undefined
+    });
+  }
+
+  return annotations;
+};
+
+const parseSarif = (sarif) => {
+  const annotations = [];
+
+  for (const { results = [] } of sarif.runs || []) {
+    for (const result of results) {
+      const { ruleId, level = 'warning', message = {} } = result;
+      const [location] = result.locations || [];
+      const { artifactLocation = {}, region = {} } =
+        (location && location.physicalLocation) || {};
+      if (!artifactLocation.uri) continue;
+
+      const { startLine = 1, startColumn, endColumn } = region;
+      const { endLine = startLine } = region;
+      annotations.push({
+        path: relativePath(decodeURIComponent(artifactLocation.uri)),
+        startLine,
+        endLine,
+        startColumn,
+        endColumn,
+        level: SARIF_LEVELS[level] || 'warning',
+        title: ruleId,
+        message: message.text || message.markdown || ruleId
+      });
+    }
+  }
+
+  return annotations;
+};
+
+// One `file:line[:column]: [level:] message` per line, as printed by most
+// compilers and linters; lines in any other format are ignored.
+const parseLines = (text) => {
+  const annotations = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(
+      /^(.+?):(\d+)(?::(\d+))?:\s*(?:(error|failure|warning|notice|note):\s*)?(.+)$/i
+    );
+    if (!match) continue;
+
+    const [, file, startLine, startColumn, level = 'warning', message] = match;
+    annotations.push({
+      path: relativePath(file),
+      startLine: Number(startLine),
+      endLine: Number(startLine),
+      startColumn: startColumn ? Number(startColumn) : undefined,
+      level:
+        { error: 'failure', note: 'notice' }[level.toLowerCase()] ||
+        level.toLowerCase(),
+      message: message.trim()
+    });
+  }
+
+  return annotations;
+};
+
+const parseAnnotations = (text) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('<')) return parseJUnit(trimmed);
+  if (trimmed.startsWith('{')) return parseSarif(JSON.parse(trimmed));
+
+  return parseLines(text);
+};
+
+const readAnnotations = async (file) => {
+  try {
+    return parseAnnotations(await fs.readFile(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to read annotations from ${file}: ${err.message}`);
+  }
+};
+
+exports.parseAnnotations = parseAnnotations;
+exports.readAnnotations = readAnnotations;
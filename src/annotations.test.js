@@ -0,0 +1,162 @@
+const fs = require('fs').promises;
+const { join, resolve } = require('path');
+const { pathToFileURL } = require('url');
+const tempy = require('tempy');
+
+const { parseAnnotations, readAnnotations } = require('./annotations');
+
+describe('Annotations tests', () => {
+  test('JUnit failures and errors with a file are annotated', () => {
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<testsuites>
+  <testsuite name="pytest" tests="4" failures="1" errors="1">
+    <testcase classname="tests.test_data" name="test_ok" file="tests/test_data.py" line="3" />
+    <testcase classname="tests.test_data" name="test_schema" file="tests/test_data.py" line="12">
+      <failure message="assert &apos;label&apos; in columns">def test_schema():
+&gt;   assert 'label' in columns</failure>
+    </testcase>
+    <testcase classname="tests.test_data" name="test_nulls" file="${resolve(
+      'tests/test_nulls.py'
+    )}">
+      <error type="ValueError"><![CDATA[ValueError: <nan>]]></error>
+    </testcase>
+    <testcase classname="tests.test_data" name="test_elsewhere">
+      <failure message="no file" />
+    </testcase>
+  </testsuite>
+</testsuites>`;
+
+    expect(parseAnnotations(xml)).toEqual([
+      {
+        path: 'tests/test_data.py',
+        startLine: 12,
+        endLine: 12,
+        level: 'failure',
+        title: 'tests.test_data.test_schema',
+        message: "assert 'label' in columns",
+        details: "def test_schema():\n>   assert 'label' in columns"
+      },
+      {
+        path: 'tests/test_nulls.py',
+        startLine: 1,
+        endLine: 1,
+        level: 'failure',
+        title: 'tests.test_data.test_nulls',
+        message: 'ValueError',
+        details: 'ValueError: <nan>'
+      }
+    ]);
+  });
+
+  test('SARIF results with a location are annotated', () => {
+    const sarif = {
+      version: '2.1.0',
+      runs: [
+        {
+          tool: { driver: { name: 'validator' } },
+          results: [
+            {
+              ruleId: 'range',
+              level: 'error',
+              message: { text: 'Value out of range' },
+              locations: [
+                {
+                  physicalLocation: {
+                    artifactLocation: { uri: 'data/train%20set.csv' },
+                    region: { startLine: 4, startColumn: 2, endColumn: 5 }
+                  }
+                }
+              ]
+            },
+            {
+              ruleId: 'drift',
+              message: { text: 'Distribution drift' },
+              locations: [
+                {
+                  physicalLocation: {
+                    artifactLocation: {
+                      uri: pathToFileURL(resolve('data/test.csv')).toString()
+                    },
+                    region: { startLine: 1, endLine: 9 }
+                  }
+                }
+              ]
+            },
+            { ruleId: 'global', level: 'note', message: { text: 'No file' } }
+          ]
+        }
+      ]
+    };
+
+    expect(parseAnnotations(JSON.stringify(sarif))).toEqual([
+      {
+        path: 'data/train set.csv',
+        startLine: 4,
+        endLine: 4,
+        startColumn: 2,
+        endColumn: 5,
+        level: 'failure',
+        title: 'range',
+        message: 'Value out of range'
+      },
+      {
+        path: 'data/test.csv',
+        startLine: 1,
+        endLine: 9,
+        startColumn: undefined,
+        endColumn: undefined,
+        level: 'warning',
+        title: 'drift',
+        message: 'Distribution drift'
+      }
+    ]);
+  });
+
+  test('file:line:message lines are annotated', () => {
+    const text = [
+      'src/train.py:10: learning rate is too high',
+      './src/train.py:12:4: error: undefined name "model"',
+      'Summary: 2 problems',
+      'data/labels.csv:3: note: duplicate row'
+    ].join('\n');
+
+    expect(parseAnnotations(text)).toEqual([
+      {
+        path: 'src/train.py',
+        startLine: 10,
+        endLine: 10,
+        startColumn: undefined,
+        level: 'warning',
+        message: 'learning rate is too high'
+      },
+      {
+        path: 'src/train.py',
+        startLine: 12,
+        endLine: 12,
+        startColumn: 4,
+        level: 'failure',
+        message: 'undefined name "model"'
+      },
+      {
+        path: 'data/labels.csv',
+        startLine: 3,
+        endLine: 3,
+        startColumn: undefined,
+        level: 'notice',
+        message: 'duplicate row'
+      }
+    ]);
+  });
+
+  test('unreadable files are reported', async () => {
+    const dir = tempy.directory();
+    try {
+      await fs.writeFile(join(dir, 'broken.sarif'), '{"runs": [');
+      await expect(readAnnotations(join(dir, 'broken.sarif'))).rejects.toThrow(
+        'Failed to read annotations from'
+      );
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
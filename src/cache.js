@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { userCacheDir } = require('appdirs');
+
+const cacheRoot = () =>
+  process.env.CML_CACHE_DIR || userCacheDir('iterative/cml');
+
+// URIs of uploaded assets, keyed by the backend and the contents of the file.
+// Each asset has its own entry file, so that images of the same report being
+// published in parallel never overwrite each other's entries.
+const cacheDir = () => path.join(cacheRoot(), 'assets');
+
+const entryPath = async (opts) => {
+  const { backend, path: file, buffer, mimeType = '' } = opts;
+
+  const key = crypto
+    .createHash('sha256')
+    .update(`${backend}\n${mimeType}\n`)
+    .update(buffer || (await fs.readFile(file)))
+    .digest('hex');
+
+  return path.join(cacheDir(), `${key}.json`);
+};
+
+const cachedAsset = async (opts) => {
+  const entry = await entryPath(opts);
+  try {
+    return JSON.parse(await fs.readFile(entry));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+};
+
+const cacheAsset = async (opts) => {
+  const { uri, mime } = opts;
+
+  const entry = await entryPath(opts);
+  await fs.mkdir(path.dirname(entry), { recursive: true });
+  await fs.writeFile(entry, JSON.stringify({ uri, mime }));
+};
+
+const clearAssetCache = async () => {
+  const dir = cacheDir();
+
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  await fs.rm(dir, { recursive: true, force: true });
+
+  return entries.length;
+};
+
+// Checks started by `cml check create`, kept out of the work tree so that they
+// never end up committed.
+const checksPath = (repo) => {
+  const key = crypto.createHash('sha256').update(repo).digest('hex');
+  return path.join(cacheRoot(), 'checks', `${key}.json`);
+};
+
+exports.cachedAsset = cachedAsset;
+exports.cacheAsset = cacheAsset;
+exports.clearAssetCache = clearAssetCache;
+exports.checksPath = checksPath;
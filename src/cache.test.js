@@ -0,0 +1,52 @@
+const fs = require('fs').promises;
+const { join } = require('path');
+const tempy = require('tempy');
+
+const { cacheAsset, cachedAsset, clearAssetCache } = require('./cache');
+
+describe('Asset cache tests', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempy.directory();
+    process.env.CML_CACHE_DIR = dir;
+  });
+
+  afterEach(async () => {
+    delete process.env.CML_CACHE_DIR;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('assets are cached by backend and contents', async () => {
+    const path = join(dir, 'plot.png');
+    await fs.writeFile(path, 'plot');
+    const backend = 'https://asset.cml.dev';
+
+    expect(await cachedAsset({ backend, path })).toBeUndefined();
+    await cacheAsset({ backend, path, uri: 'https://a/1', mime: 'image/png' });
+
+    expect(await cachedAsset({ backend, buffer: Buffer.from('plot') })).toEqual(
+      { uri: 'https://a/1', mime: 'image/png' }
+    );
+    expect(
+      await cachedAsset({ backend: 's3://bucket ', path })
+    ).toBeUndefined();
+    expect(
+      await cachedAsset({ backend, path, mimeType: 'text/plain' })
+    ).toBeUndefined();
+
+    await fs.writeFile(path, 'new plot');
+    expect(await cachedAsset({ backend, path })).toBeUndefined();
+  });
+
+  test('the cache is cleared', async () => {
+    expect(await clearAssetCache()).toBe(0);
+
+    for (const uri of ['https://a/1', 'https://a/2'])
+      await cacheAsset({ backend: uri, buffer: Buffer.from(uri), uri });
+    expect(await clearAssetCache()).toBe(2);
+    expect(
+      await cachedAsset({ backend: 'https://a/1', buffer: Buffer.from('x') })
+    ).toBeUndefined();
+  });
+});
@@ -234,12 +234,14 @@ describe('Gitlab tests', () => {
     expect(logs[0].status).toBe('ready');
     expect(logs[1].status).toBe('job_started');
     expect(logs[2].status).toBe('job_ended');
+    expect(logs[2].job).toBe('1396213069');
     expect(logs[2].success).toBe(false);
 
     logs = await cml.parseRunnerLog({
       data: '{"duration_s":7.706165838,"job":2177867438,"level":"info","msg":"Job succeeded","project":27939020,"runner":"fe36krFK","time":"2022-03-08T18:12:57+01:00"}'
     });
     expect(logs[0].status).toBe('job_ended');
+    expect(logs[0].job).toBe('2177867438');
     expect(logs[0].success).toBe(true);
   });
 });
@@ -4,32 +4,76 @@ const stripAuth = require('strip-url-auth');
 const globby = require('globby');
 const git = require('simple-git')('./');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const fs = require('fs').promises;
 const chokidar = require('chokidar');
 const winston = require('winston');
+const { backOff } = require('exponential-backoff');
+const tempy = require('tempy');
 const remark = require('remark');
 const visit = require('unist-util-visit');
 
 const Gitlab = require('./drivers/gitlab');
 const Github = require('./drivers/github');
 const BitbucketCloud = require('./drivers/bitbucket_cloud');
+const BitbucketServer = require('./drivers/bitbucket_server');
+const Gitea = require('./drivers/gitea');
+const AzureDevOps = require('./drivers/azure_devops');
+const Local = require('./drivers/local');
+const S3 = require('./storage/s3');
+const Directory = require('./storage/directory');
+const WebDAV = require('./storage/webdav');
 const {
   upload,
   exec,
   watermarkUri,
   preventcacheUri,
+  sleep,
   waitForever
 } = require('./utils');
+const { readAnnotations } = require('./annotations');
+const { cacheAsset, cachedAsset, checksPath } = require('./cache');
+const { diffMetrics, metricsDiffTable } = require('./metrics');
+const { gallery, manifest, mapLimit } = require('./gallery');
+const { inlineImage } = require('./inline');
+const { splitReport } = require('./overflow');
+const { thumbnail } = require('./thumbnail');
+const {
+  parseSections,
+  renderSections,
+  setSection,
+  validateSection
+} = require('./sections');
+const { isTableFile, renderTable } = require('./table');
+const { render } = require('./template');
 
-const { GITHUB_REPOSITORY, CI_PROJECT_URL, BITBUCKET_REPO_UUID } = process.env;
+const {
+  GITHUB_REPOSITORY,
+  CI_PROJECT_URL,
+  BITBUCKET_REPO_UUID,
+  GITEA_ACTIONS,
+  FORGEJO_ACTIONS,
+  SYSTEM_COLLECTIONURI,
+  BUILD_REPOSITORY_URI
+} = process.env;
 
 const WATERMARK_IMAGE = 'https://cml.dev/watermark.png';
+
+// Reports are public, so templates only see the variables meant for them.
+const TEMPLATE_ENV_PREFIX = 'CML_TEMPLATE_';
+const COLLAPSED = '<details>\n<summary>Superseded by ';
 const GIT_USER_NAME = 'Olivaw[bot]';
 const GIT_USER_EMAIL = 'olivaw@iterative.ai';
 const GIT_REMOTE = 'origin';
 const GITHUB = 'github';
 const GITLAB = 'gitlab';
 const BB = 'bitbucket';
+const GITEA = 'gitea';
+const AZURE = 'azure';
+const LOCAL = 'local';
+// Drivers without commit comments always post reports to pull requests.
+const PR_ONLY_DRIVERS = [GITEA, AZURE];
+const CHECK_TITLE = 'CML Report';
 
 const watcher = chokidar.watch([], {
   persistent: true,
@@ -42,6 +86,50 @@ const watcher = chokidar.watch([], {
   }
 });
 
+// Room left in overflowing reports for the commit prefix, part links and
+// notices.
+const OVERFLOW_RESERVE = 256;
+
+// Attempts at writing a comment section before giving up on concurrent jobs.
+const SECTION_RETRIES = 5;
+
+// Publishing options that keep images as they are.
+const FULL_SIZE = {
+  maxWidth: undefined,
+  maxHeight: undefined,
+  format: undefined
+};
+
+// Number of a report part; reports that were not split are a single part.
+const reportPart = (body) => {
+  const [, part = 1] =
+    body.match(/^(?:[0-9a-f]{7}\n\n)?_Report part (\d+) of \d+/) || [];
+  return Number(part);
+};
+
+// Create the watermark.
+const genWatermark = (opts = {}) => {
+  const { label = '', workflow, run } = opts;
+  // Replace {workflow} and {run} placeholders in label with actual values.
+  const lbl = label.replace('{workflow}', workflow).replace('{run}', run);
+
+  let title = `CML watermark ${lbl}`.trim();
+  // Github appears to escape underscores and asterisks in markdown content.
+  // Without escaping them, the watermark content in comments retrieved
+  // from github will not match the input.
+  const patterns = [
+    [/_/g, '\\_'], // underscore
+    [/\*/g, '\\*'], // asterisk
+    [/\[/g, '\\['], // opening square bracket
+    [/</g, '\\<'] // opening angle bracket
+  ];
+  title = patterns.reduce(
+    (label, pattern) => label.replace(pattern[0], pattern[1]),
+    title
+  );
+  return `![](${WATERMARK_IMAGE} "${title}")`;
+};
+
 const uriNoTrailingSlash = (uri) => {
   return uri.endsWith('/') ? uri.substr(0, uri.length - 1) : uri;
 };
@@ -60,10 +148,18 @@ const inferToken = () => {
     repo_token: repoToken,
     GITHUB_TOKEN,
     GITLAB_TOKEN,
-    BITBUCKET_TOKEN
+    BITBUCKET_TOKEN,
+    GITEA_TOKEN,
+    SYSTEM_ACCESSTOKEN
   } = process.env;
   return (
-    REPO_TOKEN || repoToken || GITHUB_TOKEN || GITLAB_TOKEN || BITBUCKET_TOKEN
+    REPO_TOKEN ||
+    repoToken ||
+    GITHUB_TOKEN ||
+    GITLAB_TOKEN ||
+    BITBUCKET_TOKEN ||
+    GITEA_TOKEN ||
+    SYSTEM_ACCESSTOKEN
   );
 };
 
@@ -73,12 +169,18 @@ const inferDriver = (opts = {}) => {
     const url = new URL(repo);
     if (url.hostname === 'github.com') return GITHUB;
     if (url.hostname === 'gitlab.com') return GITLAB;
-    if (/bitbucket\.(com|org)/.test(url.hostname)) return BB;
+    if (/(^|\.)bitbucket\./.test(url.hostname)) return BB;
+    if (/(gitea\.com|codeberg\.org)$/.test(url.hostname)) return GITEA;
+    if (/(dev\.azure\.com|\.visualstudio\.com)$/.test(url.hostname))
+      return AZURE;
   }
 
+  // Gitea and Forgejo Actions also set the GITHUB_* variables for compatibility.
+  if (GITEA_ACTIONS || FORGEJO_ACTIONS) return GITEA;
   if (GITHUB_REPOSITORY) return GITHUB;
   if (CI_PROJECT_URL) return GITLAB;
   if (BITBUCKET_REPO_UUID) return BB;
+  if (SYSTEM_COLLECTIONURI || BUILD_REPOSITORY_URI) return AZURE;
 };
 
 const fixGitSafeDirectory = () => {
@@ -122,10 +224,18 @@ class CML {
 
     const { driver, repo, token } = opts;
 
-    this.repo = uriNoTrailingSlash(repo || gitRemoteUrl()).replace(
-      /\.git$/,
-      ''
-    );
+    let remote = repo;
+    if (!remote) {
+      try {
+        remote = gitRemoteUrl();
+      } catch (err) {
+        // The local driver works on repositories without any remote.
+        if (driver !== LOCAL) throw err;
+        remote = pathToFileURL(process.cwd()).toString();
+      }
+    }
+
+    this.repo = uriNoTrailingSlash(remote).replace(/\.git$/, '');
     this.token = token || inferToken();
     this.driver = driver || inferDriver({ repo: this.repo });
   }
@@ -156,21 +266,47 @@ class CML {
 
     if (driver === GITHUB) return new Github({ repo, token });
     if (driver === GITLAB) return new Gitlab({ repo, token });
-    if (driver === BB) return new BitbucketCloud({ repo, token });
+    if (driver === BB) {
+      // Bitbucket Data Center is hosted on-premise, never on bitbucket.org.
+      if (new URL(repo).hostname === 'bitbucket.org')
+        return new BitbucketCloud({ repo, token });
+      return new BitbucketServer({ repo, token });
+    }
+    if (driver === GITEA) return new Gitea({ repo, token });
+    if (driver === AZURE) return new AzureDevOps({ repo, token });
+    if (driver === LOCAL) return new Local({ repo, token });
 
     throw new Error(`driver ${driver} unknown!`);
   }
 
+  getStorage(opts = {}) {
+    const { storage: uri, storageUrl: url } = opts;
+
+    if (uri.startsWith('s3:')) return new S3({ uri, url });
+    if (/^webdavs?:/.test(uri)) return new WebDAV({ uri, url });
+    if (uri.startsWith('file:') || !/^[a-z][\w+.-]*:\/\//i.test(uri))
+      return new Directory({ uri, url });
+
+    throw new Error(`storage ${uri} unknown!`);
+  }
+
   async commentCreate(opts = {}) {
     const triggerSha = await this.triggerSha();
     const {
+      collapsePrevious,
       commitSha: inCommitSha = triggerSha,
+      inline,
+      inlineMaxSize,
       markdownFile,
+      metricsDiff = [],
+      overflow,
       pr,
       publish,
       publishUrl,
       report: testReport,
       rmWatermark,
+      section,
+      template,
       triggerFile,
       update,
       watch,
@@ -184,29 +320,18 @@ class CML {
 
     if (rmWatermark && update)
       throw new Error('watermarks are mandatory for updateable comments');
-
-    // Create the watermark.
-    const genWatermark = (opts = {}) => {
-      const { label = '', workflow, run } = opts;
-      // Replace {workflow} and {run} placeholders in label with actual values.
-      const lbl = label.replace('{workflow}', workflow).replace('{run}', run);
-
-      let title = `CML watermark ${lbl}`.trim();
-      // Github appears to escape underscores and asterisks in markdown content.
-      // Without escaping them, the watermark content in comments retrieved
-      // from github will not match the input.
-      const patterns = [
-        [/_/g, '\\_'], // underscore
-        [/\*/g, '\\*'], // asterisk
-        [/\[/g, '\\['], // opening square bracket
-        [/</g, '\\<'] // opening angle bracket
-      ];
-      title = patterns.reduce(
-        (label, pattern) => label.replace(pattern[0], pattern[1]),
-        title
-      );
-      return `![](${WATERMARK_IMAGE} "${title}")`;
+    if (rmWatermark && collapsePrevious)
+      throw new Error('watermarks are mandatory for collapsible comments');
+    if (rmWatermark && section)
+      throw new Error('watermarks are mandatory for sectioned comments');
+    if (section) validateSection(section);
+
+    let commitPr;
+    const findCommitPr = async () => {
+      if (!commitPr) [commitPr = {}] = await drv.commitPrs({ commitSha });
+      return commitPr;
     };
+
     const watermark = rmWatermark
       ? ''
       : genWatermark({
@@ -224,26 +349,164 @@ class CML {
       if (!watch) throw err;
     }
 
+    const reportDir = markdownFile ? path.dirname(markdownFile) : '.';
+    if (template && userReport !== undefined) {
+      let branch;
+      try {
+        branch = await this.branch();
+      } catch (err) {}
+
+      userReport = await render(userReport, {
+        dir: reportDir,
+        context: {
+          sha: triggerSha,
+          branch,
+          workflow: drv.workflowId,
+          run: drv.runId,
+          env: Object.fromEntries(
+            Object.entries(process.env).filter(([key]) =>
+              key.startsWith(TEMPLATE_ENV_PREFIX)
+            )
+          )
+        }
+      });
+    }
+
+    if (metricsDiff.length && userReport !== undefined) {
+      const { target } = await findCommitPr();
+      if (!target)
+        throw new Error(
+          `Target branch of the PR for commit sha "${inCommitSha}" not found`
+        );
+
+      userReport = `${userReport}\n\n${await this.metricsDiff({
+        files: metricsDiff,
+        base: target
+      })}`;
+    }
+
     let report = `${userReport}\n\n${watermark}`;
 
+    // Images like ![table](metrics.csv?columns=name,value&precision=3&limit=10)
+    // pointing to local CSV, TSV or JSON files are inlined as tables.
+    const renderLocalTables = async (tree) => {
+      const nodes = [];
+
+      visit(tree, 'image', (node, index, parent) => {
+        if (node.alt === 'table') nodes.push({ node, parent });
+      });
+
+      const visitor = async ({ node, parent }) => {
+        const [file, query = ''] = node.url.split('?');
+        if (!isTableFile(file)) return;
+
+        const absolutePath = path.resolve(reportDir, file);
+        if (!triggerFile && watch) watcher.add(absolutePath);
+
+        const params = new URLSearchParams(query);
+        let table;
+        try {
+          table = await renderTable({
+            file: absolutePath,
+            columns: params.has('columns')
+              ? params.get('columns').split(',')
+              : undefined,
+            precision: params.has('precision')
+              ? Number(params.get('precision'))
+              : undefined,
+            limit: params.has('limit')
+              ? Number(params.get('limit'))
+              : undefined,
+            key: params.get('key') || undefined
+          });
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+          return winston.warn(`Table file ${file} not found`);
+        }
+
+        // Tables are blocks, so they replace paragraphs holding nothing else.
+        const alone =
+          parent.type === 'paragraph' && parent.children.length === 1;
+        const target = alone ? parent : node;
+        for (const key of Object.keys(target))
+          if (key !== 'position') delete target[key];
+        Object.assign(target, {
+          type: 'html',
+          value: alone ? table : `\n\n${table}\n\n`
+        });
+      };
+
+      await Promise.all(nodes.map(visitor));
+    };
+
     const publishLocalFiles = async (tree) => {
       const nodes = [];
+      const parents = new Map();
+
+      visit(tree, ['definition', 'image', 'link'], (node, index, parent) => {
+        nodes.push(node);
+        parents.set(node, parent);
+      });
 
-      visit(tree, ['definition', 'image', 'link'], (node) => nodes.push(node));
+      if (inline && !drv.inlineImages)
+        winston.warn(
+          `Images can't be inlined in ${this.driver} comments, publishing them instead`
+        );
+      // Inlined images share whatever room the report leaves in a comment.
+      let room =
+        inline && drv.inlineImages
+          ? drv.maxCommentLength - report.length - OVERFLOW_RESERVE
+          : 0;
 
       const isWatermark = (node) => {
         return node.title && node.title.startsWith('CML watermark');
       };
       const visitor = async (node) => {
         if (node.url && !isWatermark(node)) {
-          const absolutePath = path.resolve(
-            path.dirname(markdownFile),
-            node.url
-          );
+          const absolutePath = path.resolve(reportDir, node.url);
           if (!triggerFile && watch) watcher.add(absolutePath);
           try {
+            if (node.type === 'image' && room > 0) {
+              const uri = await inlineImage({
+                path: absolutePath,
+                maxSize: inlineMaxSize
+              });
+              if (uri && uri.length <= room) {
+                room -= uri.length;
+                node.url = uri;
+                return;
+              }
+            }
+
+            // Resized images link to the original, unless already in a link.
+            if (node.type === 'image') {
+              const resized = await this.publishThumbnail({
+                ...opts,
+                path: absolutePath,
+                url: publishUrl
+              });
+              if (resized && parents.get(node).type === 'link') {
+                node.url = resized.uri;
+                return;
+              }
+              if (resized) {
+                const image = { ...node, url: resized.uri };
+                delete image.position;
+                for (const key of Object.keys(node))
+                  if (key !== 'position') delete node[key];
+                Object.assign(node, {
+                  type: 'link',
+                  url: resized.full,
+                  title: null,
+                  children: [image]
+                });
+                return;
+              }
+            }
+
             node.url = await this.publish({
               ...opts,
+              ...FULL_SIZE,
               path: absolutePath,
               url: publishUrl
             });
@@ -256,12 +519,13 @@ class CML {
       await Promise.all(nodes.map(visitor));
     };
 
-    if (publish) {
-      report = (
-        await remark()
-          .use(() => publishLocalFiles)
-          .process(report)
-      )
+    const tables = /!\[table\]\(/.test(report);
+    if (publish || tables) {
+      const processor = remark();
+      if (tables) processor.use(() => renderLocalTables);
+      if (publish) processor.use(() => publishLocalFiles);
+
+      report = (await processor.process(report))
         .toString()
         .replace(/\\&(.+)=/g, '&$1=');
     }
@@ -293,15 +557,126 @@ class CML {
       await waitForever();
     }
 
-    let comment;
-    const updatableComment = (comments) => {
-      return comments.reverse().find(({ body }) => {
-        return body.includes(watermark);
+    if (section)
+      return await this.commentSectionUpdate({
+        ...opts,
+        content: report.replace(watermark, '').trim(),
+        watermark
+      });
+
+    // Reports over the comment size limit of the forge are truncated, split
+    // into several comments or attached as a file.
+    const prefix = `${commitSha.substr(0, 7)}\n\n`;
+    let reports = [report];
+    if (prefix.length + report.length > drv.maxCommentLength) {
+      if (!overflow)
+        throw new Error(
+          `Report is ${report.length} characters long, over the limit of ${drv.maxCommentLength}; use --overflow to truncate, split or attach it`
+        );
+
+      const content = report.replace(watermark, '').trim();
+      const parts = splitReport(
+        content,
+        drv.maxCommentLength - watermark.length - OVERFLOW_RESERVE
+      );
+
+      if (overflow === 'split') {
+        reports = parts.map((part) => `${part}\n\n${watermark}`);
+      } else {
+        let notice = `:warning: Report truncated to ${parts[0].length} of ${content.length} characters.`;
+        if (overflow === 'attach') {
+          const file = await tempy.write(content, { name: 'report.md' });
+          try {
+            const uri = await this.publish({
+              ...opts,
+              path: file,
+              url: publishUrl
+            });
+            notice = `:paperclip: This report is too long for a comment, [read it in full](${uri}).`;
+          } finally {
+            await fs.unlink(file);
+          }
+        }
+        reports = [`${parts[0]}\n\n${notice}\n\n${watermark}`];
+      }
+    }
+
+    // The latest report with this watermark, including its parts if split.
+    const updatableComments = (comments) => {
+      const matching = comments.filter(({ body }) => {
+        return body.includes(watermark) && !body.startsWith(COLLAPSED);
       });
+
+      const start = matching.map(({ body }) => reportPart(body)).lastIndexOf(1);
+      if (start < 0) return [];
+
+      const latest = [matching[start]];
+      for (const comment of matching.slice(start + 1)) {
+        if (reportPart(comment.body) !== latest.length + 1) break;
+        latest.push(comment);
+      }
+      return latest;
+    };
+
+    // Posts every part of the report, each linking to the previous one, over
+    // the parts of the previous report; leftover parts are deleted.
+    const postReports = async (opts = {}) => {
+      const { previous, create, update, remove } = opts;
+
+      const urls = [];
+      for (const [index, part] of reports.entries()) {
+        let report = part;
+        if (reports.length > 1) {
+          const link = index
+            ? `, continued from [part ${index}](${urls[index - 1]})`
+            : '';
+          report = `_Report part ${index + 1} of ${
+            reports.length
+          }${link}_\n\n${part}`;
+        }
+
+        const comment = previous[index];
+        urls.push(
+          comment
+            ? await update({ id: comment.id, report })
+            : await create({ report })
+        );
+      }
+
+      for (const { id } of previous.slice(reports.length)) {
+        try {
+          await remove({ id });
+        } catch (err) {
+          winston.warn(`Failed to delete comment ${id}: ${err.message}`);
+        }
+      }
+
+      return urls[0];
+    };
+
+    // Folds every earlier report with the same watermark into a stub that
+    // links to the newer one; the watermark is kept for `cml comment list`.
+    const collapseComments = async (opts = {}) => {
+      const { comments, url, update, minimize } = opts;
+
+      for (const { id, body } of comments) {
+        if (!body.includes(watermark) || body.startsWith(COLLAPSED)) continue;
+
+        try {
+          const content = body.replace(watermark, '').trim();
+          await update({
+            id,
+            report: `${COLLAPSED}<a href="${url}">a newer report</a></summary>\n\n${content}\n\n</details>\n\n${watermark}`
+          });
+          if (minimize) await minimize({ id });
+        } catch (err) {
+          winston.warn(`Failed to collapse comment ${id}: ${err.message}`);
+        }
+      }
     };
 
     const isBB = this.driver === BB;
-    if (pr || isBB) {
+    if (pr || isBB || PR_ONLY_DRIVERS.includes(this.driver)) {
       let commentUrl;
 
       if (commitSha !== triggerSha)
@@ -309,9 +684,7 @@ class CML {
           `Looking for PR associated with --commit-sha="${inCommitSha}".\nSee https://cml.dev/doc/ref/send-comment.`
         );
 
-      const longReport = `${commitSha.substr(0, 7)}\n\n${report}`;
-      const [commitPr = {}] = await drv.commitPrs({ commitSha });
-      const { url } = commitPr;
+      const { url } = await findCommitPr();
 
       if (!url && !isBB)
         throw new Error(`PR for commit sha "${inCommitSha}" not found`);
@@ -319,56 +692,370 @@ class CML {
       if (url) {
         const [prNumber] = url.split('/').slice(-1);
 
-        if (update)
-          comment = updatableComment(await drv.prComments({ prNumber }));
+        const comments =
+          update || collapsePrevious ? await drv.prComments({ prNumber }) : [];
+        const previous = update ? updatableComments(comments) : [];
+
+        commentUrl = await postReports({
+          previous,
+          create: ({ report }) =>
+            drv.prCommentCreate({ report: `${prefix}${report}`, prNumber }),
+          update: ({ id, report }) =>
+            drv.prCommentUpdate({ report: `${prefix}${report}`, id, prNumber }),
+          remove: ({ id }) => drv.prCommentDelete({ id, prNumber })
+        });
 
-        if (update && comment) {
-          commentUrl = await drv.prCommentUpdate({
-            report: longReport,
-            id: comment.id,
-            prNumber
-          });
-        } else
-          commentUrl = await drv.prCommentCreate({
-            report: longReport,
-            prNumber
+        if (collapsePrevious && !previous.length)
+          await collapseComments({
+            comments,
+            url: commentUrl,
+            update: (opts) => drv.prCommentUpdate({ ...opts, prNumber }),
+            minimize:
+              drv.prCommentMinimize && ((opts) => drv.prCommentMinimize(opts))
           });
 
         if (this.driver !== 'bitbucket') return commentUrl;
       }
     }
 
-    if (update) {
-      comment = updatableComment(await drv.commitComments({ commitSha }));
+    const comments =
+      update || collapsePrevious ? await drv.commitComments({ commitSha }) : [];
 
-      if (comment)
-        return await drv.commentUpdate({
-          report,
-          id: comment.id,
-          commitSha
+    const previous = update ? updatableComments(comments) : [];
+
+    const commentUrl = await postReports({
+      previous,
+      create: ({ report }) => drv.commentCreate({ report, commitSha }),
+      update: ({ id, report }) => drv.commentUpdate({ report, id, commitSha }),
+      remove: ({ id }) => drv.commentDelete({ id, commitSha })
+    });
+
+    if (collapsePrevious && !previous.length)
+      await collapseComments({
+        comments,
+        url: commentUrl,
+        update: (opts) => drv.commentUpdate({ ...opts, commitSha }),
+        minimize: drv.commentMinimize && ((opts) => drv.commentMinimize(opts))
+      });
+
+    return commentUrl;
+  }
+
+  // Writes one section of a comment shared by several jobs, like the cells of
+  // a job matrix. Writes are optimistic: each one starts from a fresh read of
+  // the comment and is read back after a random delay, then retried if
+  // another job overwrote it. Comments created by jobs racing to create the
+  // first one are merged into the oldest.
+  async commentSectionUpdate(opts = {}) {
+    const { section, content, watermark, retries = SECTION_RETRIES } = opts;
+
+    const drv = this.getDriver();
+    const { commitSha, prNumber } = await this.commentTarget(opts);
+    const prefix = prNumber ? `${commitSha.substr(0, 7)}\n\n` : '';
+
+    const sectioned = async () => {
+      const comments = prNumber
+        ? await drv.prComments({ prNumber })
+        : await drv.commitComments({ commitSha });
+      return comments.filter(({ body }) => {
+        return body.includes(watermark) && parseSections(body).length;
+      });
+    };
+
+    const write = async ({ comment, sections }) => {
+      const report = `${prefix}${renderSections(sections)}\n\n${watermark}`;
+      if (report.length > drv.maxCommentLength)
+        throw new Error(
+          `Sectioned comment is ${report.length} characters long, over the limit of ${drv.maxCommentLength}`
+        );
+
+      if (!comment)
+        return prNumber
+          ? await drv.prCommentCreate({ report, prNumber })
+          : await drv.commentCreate({ report, commitSha });
+
+      const { id, version } = comment;
+      return prNumber
+        ? await drv.prCommentUpdate({ report, id, version, prNumber })
+        : await drv.commentUpdate({ report, id, version, commitSha });
+    };
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt) await sleep(Math.random() * 2 ** attempt);
+
+      try {
+        const comments = await sectioned();
+        const sections = comments
+          .flatMap(({ body }) => parseSections(body))
+          .filter((item, index, all) => {
+            return all.findIndex(({ name }) => name === item.name) === index;
+          });
+
+        const [shared, ...duplicates] = comments;
+        const url = await write({
+          comment: shared,
+          sections: setSection(sections, section, content)
         });
+
+        for (const { id } of duplicates) {
+          try {
+            if (prNumber) await drv.prCommentDelete({ id, prNumber });
+            else await drv.commentDelete({ id, commitSha });
+          } catch (err) {
+            // Another job merged and deleted it first.
+          }
+        }
+
+        await sleep(Math.random());
+        const [current] = await sectioned();
+        const written = parseSections(current && current.body).find(
+          ({ name }) => name === section
+        );
+        if (written && written.content.trim() === content) return url;
+      } catch (err) {
+        // Forges with versioned comments reject stale writes.
+        if (!/conflict/i.test(err.message)) throw err;
+      }
+
+      winston.warn(`Section "${section}" was overwritten, retrying...`);
     }
 
-    return await drv.commentCreate({
-      report,
-      commitSha
-    });
+    throw new Error(
+      `Failed to write section "${section}" after ${retries + 1} attempts`
+    );
+  }
+
+  // Contents of a file at the given ref; in shallow clones, the ref is fetched
+  // from the remote first.
+  async showFile(opts = {}) {
+    const { ref, file, remote = GIT_REMOTE } = opts;
+    const relative = path.relative(process.cwd(), path.resolve(file));
+    const show = (ref) => git.show([`${ref}:./${relative}`]);
+
+    for (const candidate of [`${remote}/${ref}`, ref]) {
+      try {
+        return await show(candidate);
+      } catch (err) {}
+    }
+
+    await exec(`git fetch --depth=1 ${remote} "${ref}"`);
+    return await show('FETCH_HEAD');
+  }
+
+  // Table of differences between the metrics files in the working tree and
+  // the same files in the base branch.
+  async metricsDiff(opts = {}) {
+    const { files, base } = opts;
+
+    const tables = [];
+    for (const file of files) {
+      const current = JSON.parse(await fs.readFile(file, 'utf-8'));
+
+      let previous = {};
+      try {
+        previous = JSON.parse(await this.showFile({ ref: base, file }));
+      } catch (err) {
+        winston.warn(`Failed to read ${file} from ${base}: ${err.message}`);
+      }
+
+      tables.push(
+        `**${file}** (\`${base}\` → working tree)\n\n${metricsDiffTable(
+          diffMetrics(previous, current)
+        )}`
+      );
+    }
+
+    return tables.join('\n\n');
+  }
+
+  // Comments of a commit live in its open PR when requested (or when the
+  // driver has no commit comments) and in the commit itself otherwise.
+  async commentTarget(opts = {}) {
+    const { commitSha: inCommitSha = await this.triggerSha(), pr } = opts;
+
+    const commitSha =
+      (await this.revParse({ ref: inCommitSha })) || inCommitSha;
+    if (!pr && !PR_ONLY_DRIVERS.includes(this.driver)) return { commitSha };
+
+    const [{ url } = {}] = await this.getDriver().commitPrs({ commitSha });
+    if (!url) throw new Error(`PR for commit sha "${inCommitSha}" not found`);
+
+    const [prNumber] = url.split('/').slice(-1);
+    return { commitSha, prNumber };
+  }
+
+  async commentList(opts = {}) {
+    const { watermarkTitle } = opts;
+
+    const drv = this.getDriver();
+    const { commitSha, prNumber } = await this.commentTarget(opts);
+
+    const comments = prNumber
+      ? await drv.prComments({ prNumber })
+      : await drv.commitComments({ commitSha });
+    // Without a title, any CML comment matches.
+    const watermark = watermarkTitle
+      ? genWatermark({
+          label: watermarkTitle,
+          workflow: drv.workflowId,
+          run: drv.runId
+        })
+      : `(${WATERMARK_IMAGE} "CML watermark`;
+
+    return comments
+      .filter(({ body = '' }) => body.includes(watermark))
+      .map((comment) => {
+        return { ...comment, commitSha, prNumber };
+      });
+  }
+
+  async commentDelete(opts = {}) {
+    const { id, allButLatest } = opts;
+
+    const drv = this.getDriver();
+    let comments = await this.commentList(opts);
+
+    if (id) {
+      comments = comments.filter((comment) => `${comment.id}` === `${id}`);
+      if (!comments.length) throw new Error(`CML comment ${id} not found`);
+    }
+    if (allButLatest) comments = comments.slice(0, -1);
+
+    for (const { id, commitSha, prNumber } of comments) {
+      if (prNumber) await drv.prCommentDelete({ id, prNumber });
+      else await drv.commentDelete({ id, commitSha });
+    }
+
+    return comments;
   }
 
   async checkCreate(opts = {}) {
-    const { headSha = await this.triggerSha() } = opts;
+    const {
+      headSha = await this.triggerSha(),
+      title = CHECK_TITLE,
+      status = 'completed',
+      annotations: files = []
+    } = opts;
+
+    const annotations = [];
+    for (const file of files)
+      annotations.push(...(await readAnnotations(file)));
+
+    const check = await this.getDriver().checkCreate({
+      ...opts,
+      headSha,
+      title,
+      status,
+      annotations
+    });
 
-    return await this.getDriver().checkCreate({ ...opts, headSha });
+    // Forges without check runs publish statuses, identified by their title.
+    const { id = title } = (check && check.data) || check || {};
+    const checks = await this.savedChecks();
+    checks[title] = { id, headSha, status };
+    await this.saveChecks(checks);
+
+    return id;
+  }
+
+  async checkUpdate(opts = {}) {
+    const {
+      id: inId,
+      title: inTitle,
+      conclusion,
+      annotations: files = []
+    } = opts;
+
+    const checks = await this.savedChecks();
+    let [title, saved] =
+      Object.entries(checks).find(([title, { id }]) => {
+        return inId
+          ? `${id}` === `${inId}`
+          : title === (inTitle || CHECK_TITLE);
+      }) || [];
+    if (!saved && !inId)
+      throw new Error(`Check "${inTitle || CHECK_TITLE}" not found`);
+    if (!saved) saved = { id: inId, headSha: await this.triggerSha() };
+
+    const { id, headSha } = saved;
+    const status =
+      opts.status || (conclusion ? 'completed' : saved.status) || 'completed';
+
+    const annotations = [];
+    for (const file of files)
+      annotations.push(...(await readAnnotations(file)));
+
+    await this.getDriver().checkUpdate({
+      ...opts,
+      id,
+      headSha,
+      title: inTitle || title,
+      status,
+      annotations
+    });
+
+    if (title) delete checks[title];
+    checks[inTitle || title || CHECK_TITLE] = { id, headSha, status };
+    await this.saveChecks(checks);
+
+    return id;
+  }
+
+  async savedChecks() {
+    try {
+      return JSON.parse(await fs.readFile(checksPath(this.repo), 'utf-8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return {};
+    }
+  }
+
+  async saveChecks(checks) {
+    const file = checksPath(this.repo);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(checks, null, 2));
   }
 
   async publish(opts = {}) {
-    const { title = '', md, native, rmWatermark } = opts;
+    const {
+      title = '',
+      md,
+      native,
+      rmWatermark,
+      storage,
+      storageUrl,
+      url = 'https://asset.cml.dev',
+      cache = true
+    } = opts;
+
+    const resized = await this.publishThumbnail(opts);
+    if (resized) {
+      const { uri, full } = resized;
+      if (md) return `[![](${uri}${title ? ` "${title}"` : ''})](${full})`;
+      return uri;
+    }
+
+    // Local uploads cost nothing, and the outbox they went to may be gone.
+    let backend;
+    if (storage) backend = `${storage} ${storageUrl || ''}`;
+    else if (this.driver !== LOCAL)
+      backend = native ? `${this.driver} ${this.repo}` : url;
 
     let mime, uri;
-    if (native) {
-      ({ mime, uri } = await this.getDriver().upload(opts));
+    const cached =
+      cache && backend && (await cachedAsset({ ...opts, backend }));
+    if (cached) {
+      ({ mime, uri } = cached);
+      winston.debug(`Reusing ${uri} published earlier`);
     } else {
-      ({ mime, uri } = await upload(opts));
+      if (storage) {
+        ({ mime, uri } = await this.getStorage(opts).upload(opts));
+      } else if (native || this.driver === LOCAL) {
+        ({ mime, uri } = await this.getDriver().upload(opts));
+      } else {
+        ({ mime, uri } = await upload(opts));
+      }
+      if (cache && backend) await cacheAsset({ ...opts, backend, uri, mime });
     }
 
     if (!rmWatermark) {
@@ -376,7 +1063,8 @@ class CML {
       uri = watermarkUri({ uri, type });
     }
 
-    uri = preventcacheUri({ uri });
+    // Local files are never cached by a browser or a forge proxy.
+    if (!uri.startsWith('file:')) uri = preventcacheUri({ uri });
 
     if (md && mime.match('(image|video)/.*'))
       return `![](${uri}${title ? ` "${title}"` : ''})`;
@@ -386,6 +1074,69 @@ class CML {
     return uri;
   }
 
+  // Publishes a smaller copy of the image at opts.path along with the
+  // original, if --max-width, --max-height or --format call for one.
+  async publishThumbnail(opts = {}) {
+    const { path: file } = opts;
+
+    const image = await thumbnail(opts);
+    if (!image) return;
+
+    const original = { ...opts, ...FULL_SIZE, md: false };
+    const extension = image.mime.split('/')[1];
+    const copy = tempy.file({ name: `${path.parse(file).name}.${extension}` });
+    try {
+      await fs.writeFile(copy, image.buffer);
+      return {
+        uri: await this.publish({
+          ...original,
+          path: copy,
+          mimeType: image.mime
+        }),
+        full: await this.publish(original)
+      };
+    } finally {
+      await fs.rm(path.dirname(copy), { recursive: true, force: true });
+    }
+  }
+
+  async publishDirectory(opts = {}) {
+    const { path: dir, md, columns, concurrency = 4, retries = 3 } = opts;
+
+    if (!(await fs.stat(dir)).isDirectory())
+      throw new Error(`${dir} is not a directory`);
+
+    const files = (await globby('**/*', { cwd: dir, onlyFiles: true })).sort(
+      (a, b) => a.localeCompare(b, undefined, { numeric: true })
+    );
+    if (!files.length) throw new Error(`${dir} has no files to publish`);
+
+    const entries = await mapLimit(files, concurrency, async (file) => {
+      const local = path.join(dir, file);
+      const published = await backOff(
+        async () =>
+          (await this.publishThumbnail({ ...opts, path: local })) || {
+            uri: await this.publish({
+              ...opts,
+              ...FULL_SIZE,
+              path: local,
+              md: false
+            })
+          },
+        {
+          numOfAttempts: retries + 1,
+          retry: (err, attempt) => {
+            winston.warn(`Failed to publish ${local} (${attempt}): ${err}`);
+            return true;
+          }
+        }
+      );
+      return { file: local, name: file, ...published };
+    });
+
+    return md ? gallery(entries, { columns }) : manifest(entries);
+  }
+
   async runnerToken() {
     return await this.getDriver().runnerToken();
   }
@@ -428,8 +1179,10 @@ class CML {
           }
         }
 
-        if (status === 'job_ended')
+        if (status === 'job_ended') {
+          log.job = parseId('job');
           log.success = patterns.job_ended_succeded.test(data);
+        }
 
         log.level = log.success ? 'info' : 'error';
         logs.push(log);
@@ -480,6 +1233,10 @@ class CML {
     );
   }
 
+  async queuedJobs(opts = {}) {
+    return await this.getDriver().queuedJobs(opts);
+  }
+
   async runnerJob({ name, status = 'running' } = {}) {
     return await this.getDriver().runnerJob({ status, name });
   }
@@ -505,6 +1262,9 @@ class CML {
 
     const driver = this.getDriver();
     await exec(await driver.updateGitConfig({ userName, userEmail, remote }));
+    // The local driver works offline, on the repository as it is.
+    if (this.driver === LOCAL) return;
+
     if (unshallow) {
       if ((await exec('git rev-parse --is-shallow-repository')) === 'true') {
         fetchDepth = 0;
@@ -562,9 +1322,12 @@ class CML {
     const target = await this.branch();
     const source = branch || `${target}-cml-pr-${shaShort}`;
 
+    const local = this.driver === LOCAL;
     const branchExists = (
       await exec(
-        `git ls-remote $(git config --get remote.${remote}.url) ${source}`
+        local
+          ? `git branch --list ${source}`
+          : `git ls-remote $(git config --get remote.${remote}.url) ${source}`
       )
     ).includes(source);
 
@@ -577,7 +1340,7 @@ class CML {
 
       if (url) return renderPr(url);
     } else {
-      await exec(`git fetch ${remote} ${sha}`);
+      if (!local) await exec(`git fetch ${remote} ${sha}`);
       await exec(`git checkout -B ${target} ${sha}`);
       await exec(`git checkout -b ${source}`);
       await exec(`git add ${paths.join(' ')}`);
@@ -586,7 +1349,7 @@ class CML {
         commitMessage += ' [skip ci]';
       }
       await exec(`git commit -m "${commitMessage}"`);
-      await exec(`git push --set-upstream ${remote} ${source}`);
+      if (!local) await exec(`git push --set-upstream ${remote} ${source}`);
     }
 
     const url = await driver.prCreate({
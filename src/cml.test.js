@@ -0,0 +1,516 @@
+const fs = require('fs').promises;
+const { join } = require('path');
+const { fileURLToPath } = require('url');
+const tempy = require('tempy');
+const winston = require('winston');
+
+const { exec } = require('./utils');
+const Local = require('./drivers/local');
+const CML = require('./cml').default;
+const { checksPath } = require('./cache');
+
+const LOGO = join(__dirname, '../assets/logo.png');
+
+describe('CML tests', () => {
+  const cwd = process.cwd();
+  let outbox;
+  let cml;
+
+  beforeEach(() => {
+    outbox = tempy.directory();
+    process.env.CML_LOCAL_OUTBOX = outbox;
+    process.env.CML_CACHE_DIR = join(outbox, 'cache');
+    cml = new CML({ driver: 'local', repo: 'file:///repo' });
+  });
+
+  afterEach(async () => {
+    process.chdir(cwd);
+    jest.restoreAllMocks();
+    for (const name of [
+      'CML_LOCAL_OUTBOX',
+      'CML_LOCAL_MAX_COMMENT_LENGTH',
+      'CML_CACHE_DIR',
+      'CML_TEMPLATE_MODEL',
+      'CML_TOKEN'
+    ])
+      delete process.env[name];
+    await fs.rm(outbox, { recursive: true, force: true });
+  });
+
+  // Commits a file to a fresh repository in the outbox and moves into it.
+  const gitRepo = async (file, content) => {
+    const repo = join(outbox, 'repo');
+    await fs.mkdir(repo);
+    process.chdir(repo);
+
+    await exec('git init -b main');
+    await fs.writeFile(file, content);
+    await exec(
+      `git add ${file} && git -c user.name=cml -c user.email=cml@localhost commit -m ${file}`
+    );
+  };
+
+  test('publish uses the given storage instead', async () => {
+    const markdown = await cml.publish({
+      path: LOGO,
+      storage: join(outbox, 'www'),
+      storageUrl: 'https://assets.example.com',
+      md: true,
+      title: 'logo'
+    });
+    expect(markdown).toMatch(
+      /^!\[\]\(https:\/\/assets\.example\.com\/[0-9a-f]{64}\.png\?cml=png&cache-bypass=[\w-]+ "logo"\)$/
+    );
+    expect(await fs.readdir(join(outbox, 'www'))).toHaveLength(1);
+  });
+
+  test('publish reuses assets published earlier unless told not to', async () => {
+    const opts = {
+      path: LOGO,
+      storage: join(outbox, 'www'),
+      storageUrl: 'https://assets.example.com',
+      rmWatermark: true
+    };
+    const stored = async () => (await fs.readdir(join(outbox, 'www'))).length;
+
+    const uri = (await cml.publish(opts)).split('?')[0];
+    await fs.rm(join(outbox, 'www'), { recursive: true });
+    await fs.mkdir(join(outbox, 'www'));
+
+    expect((await cml.publish(opts)).split('?')[0]).toBe(uri);
+    expect(await stored()).toBe(0);
+
+    await cml.publish({ ...opts, cache: false });
+    expect(await stored()).toBe(1);
+  });
+
+  test('publishDirectory publishes every file with retries', async () => {
+    const plots = join(outbox, 'plots');
+    await fs.mkdir(join(plots, 'train'), { recursive: true });
+    for (const name of ['cm_10.svg', 'cm_2.svg', 'train/loss.svg'])
+      await fs.writeFile(
+        join(plots, name),
+        `<svg xmlns="http://www.w3.org/2000/svg"><text>${name}</text></svg>`
+      );
+
+    const opts = {
+      path: plots,
+      storage: join(outbox, 'www'),
+      storageUrl: 'https://assets.example.com',
+      rmWatermark: true,
+      cache: false
+    };
+    const publish = jest.spyOn(cml, 'publish');
+    publish.mockRejectedValueOnce(new Error('Service Unavailable'));
+
+    const uris = JSON.parse(await cml.publishDirectory(opts));
+    expect(Object.keys(uris)).toEqual(
+      ['cm_2.svg', 'cm_10.svg', 'train/loss.svg'].map((name) =>
+        join(plots, name)
+      )
+    );
+    expect(publish).toHaveBeenCalledTimes(4);
+    expect(await fs.readdir(join(outbox, 'www'))).toHaveLength(3);
+
+    const gallery = await cml.publishDirectory({ ...opts, md: true });
+    expect(gallery.split('\n')[2]).toContain('<br>cm 2 |');
+    expect(gallery).toContain('<br>train / loss |');
+
+    await expect(
+      cml.publishDirectory({ ...opts, path: join(plots, 'cm_2.svg') })
+    ).rejects.toThrow('is not a directory');
+  });
+
+  test('commentCreate updates the watermarked comment', async () => {
+    await cml.commentCreate({ report: 'first', publish: false });
+    await cml.commentCreate({ report: 'second', publish: false, update: true });
+
+    const commitSha = await cml.revParse();
+    const comments = await cml.getDriver().commitComments({ commitSha });
+    expect(comments).toHaveLength(1);
+    expect(comments[0].body.startsWith('second\n\n![](')).toBe(true);
+  });
+
+  test('commentCreate renders report templates', async () => {
+    const commitSha = await cml.revParse();
+
+    process.env.CML_TEMPLATE_MODEL = 'resnet';
+    process.env.CML_TOKEN = 'secret';
+    await cml.commentCreate({
+      report:
+        'Report for {{ sha }} ({{ env.CML_TEMPLATE_MODEL }}{{ env.CML_TOKEN }})',
+      publish: false,
+      template: true
+    });
+    await cml.commentCreate({ report: 'Plain {{ sha }}', publish: false });
+
+    const [{ body }, { body: plain }] = await cml
+      .getDriver()
+      .commitComments({ commitSha });
+    expect(body.startsWith(`Report for ${commitSha} (resnet)\n`)).toBe(true);
+    expect(plain.startsWith('Plain {{ sha }}\n')).toBe(true);
+  });
+
+  test('commentCreate inlines small images that fit in the comment', async () => {
+    const markdownFile = join(outbox, 'report.md');
+    await fs.copyFile(LOGO, join(outbox, 'logo.png'));
+    await fs.writeFile(join(outbox, 'plot.svg'), '<svg/>');
+    await fs.writeFile(markdownFile, '![](plot.svg) ![](logo.png)\n');
+
+    const commitSha = await cml.revParse();
+    await cml.commentCreate({ markdownFile, publish: true, inline: true });
+    process.env.CML_LOCAL_MAX_COMMENT_LENGTH = '2000';
+    cml = new CML({ driver: 'local', repo: 'file:///repo' });
+    await cml.commentCreate({ markdownFile, publish: true, inline: true });
+
+    const [roomy, tight] = await cml.getDriver().commitComments({ commitSha });
+    expect(roomy.body).toMatch(
+      /^!\[\]\(data:image\/svg\+xml;base64,PHN2Zy8\+\) !\[\]\(data:image\/png;base64,/
+    );
+    expect(tight.body).toMatch(
+      /^!\[\]\(data:image\/svg\+xml;base64,PHN2Zy8\+\) !\[\]\(file:\S+\/assets\/[0-9a-f]{64}\.png/
+    );
+  });
+
+  test('commentCreate warns when images cannot be inlined', async () => {
+    jest.spyOn(Local.prototype, 'inlineImages', 'get').mockReturnValue(false);
+    const warn = jest.spyOn(winston, 'warn').mockImplementation(() => {});
+    const markdownFile = join(outbox, 'report.md');
+    await fs.writeFile(join(outbox, 'plot.svg'), '<svg/>');
+    await fs.writeFile(markdownFile, '![](plot.svg)\n');
+
+    await cml.commentCreate({ markdownFile, publish: true, inline: true });
+
+    expect(warn).toHaveBeenCalledWith(
+      "Images can't be inlined in local comments, publishing them instead"
+    );
+    const [{ body }] = await cml
+      .getDriver()
+      .commitComments({ commitSha: await cml.revParse() });
+    expect(body).toMatch(/^!\[\]\(file:/);
+  });
+
+  test('resized images link to the originals', async () => {
+    const markdownFile = join(outbox, 'report.md');
+    await fs.copyFile(LOGO, join(outbox, 'logo.png'));
+    await fs.writeFile(
+      markdownFile,
+      '![](logo.png "Logo") [![](logo.png)](logo.png)\n'
+    );
+
+    const commitSha = await cml.revParse();
+    await cml.commentCreate({
+      markdownFile,
+      publish: true,
+      maxWidth: 25,
+      format: 'webp'
+    });
+
+    const [{ body }] = await cml.getDriver().commitComments({ commitSha });
+    const asset = (extension) =>
+      `file:\\S+/assets/[0-9a-f]{64}\\.${extension}\\S*`;
+    expect(body).toMatch(
+      new RegExp(
+        `^\\[!\\[\\]\\(${asset('webp')} "Logo"\\)\\]\\(${asset('png')}\\) ` +
+          `\\[!\\[\\]\\(${asset('webp')}\\)\\]\\(${asset('png')}\\)\n`
+      )
+    );
+
+    const md = await cml.publish({
+      path: join(outbox, 'logo.png'),
+      maxHeight: 14,
+      md: true,
+      title: 'Logo'
+    });
+    expect(md).toMatch(
+      new RegExp(
+        `^\\[!\\[\\]\\(${asset('png')} "Logo"\\)\\]\\(${asset('png')}\\)$`
+      )
+    );
+  });
+
+  test('commentCreate inlines metrics tables', async () => {
+    const commitSha = await cml.revParse();
+
+    const markdownFile = join(outbox, 'report.md');
+    await fs.writeFile(join(outbox, 'metrics.csv'), 'metric,value\nauc,0.5\n');
+    await fs.writeFile(
+      markdownFile,
+      '# Metrics\n\n![table](metrics.csv?columns=value)\n\nSee ![table](missing.csv).\n'
+    );
+    await cml.commentCreate({ markdownFile, publish: false });
+
+    const [{ body }] = await cml.getDriver().commitComments({ commitSha });
+    expect(body).toContain(
+      '# Metrics\n\n| value |\n| ---: |\n| 0.5 |\n\nSee ![table](missing.csv).'
+    );
+  });
+
+  test('commentCreate compares metrics with the PR target branch', async () => {
+    await gitRepo('metrics.json', '{"loss": 0.5, "epochs": 10}');
+    await exec('git checkout -b feature');
+    await fs.writeFile('metrics.json', '{"loss": 0.25, "epochs": 10}');
+    await exec('git -c user.name=cml -c user.email=cml@localhost commit -am b');
+
+    await cml.getDriver().prCreate({ source: 'feature', target: 'main' });
+    await cml.commentCreate({
+      report: 'Metrics',
+      publish: false,
+      pr: true,
+      metricsDiff: ['metrics.json']
+    });
+
+    const [{ body }] = await cml.getDriver().prComments({ prNumber: 1 });
+    expect(body).toContain(
+      'Metrics\n\n**metrics.json** (`main` → working tree)\n\n| Metric | Old | New | Change | Change % |\n| --- | ---: | ---: | ---: | ---: |\n| loss | 0.5 | 0.25 | ▼ -0.25 | -50.00% |\n| epochs | 10 | 10 | 0 | 0.00% |'
+    );
+  });
+
+  test('prCreate leaves the remote alone with the local driver', async () => {
+    const remote = join(outbox, 'remote.git');
+    await exec(`git init --bare ${remote}`);
+    await gitRepo('dvc.lock', 'a');
+    await exec(`git remote add origin ${remote}`);
+    await fs.writeFile('dvc.lock', 'b');
+
+    const url = await cml.prCreate({});
+    const [pr] = await cml.getDriver().prs();
+    expect(url).toBe(pr.url);
+    expect(pr.source).toMatch(/^main-cml-pr-[0-9a-f]{8}$/);
+    expect(await exec(`git log -1 --format=%an ${pr.source}`)).toBe(
+      'Olivaw[bot]'
+    );
+    expect(await exec(`git --git-dir=${remote} branch --list`)).toBe('');
+  });
+
+  test('commentCreate splits, truncates and attaches long reports', async () => {
+    process.env.CML_LOCAL_MAX_COMMENT_LENGTH = '600';
+    cml = new CML({ driver: 'local', repo: 'file:///repo' });
+    const commitSha = await cml.revParse();
+    const paragraphs = (count) =>
+      Array.from({ length: count }, (_, i) => `${i} ${'x'.repeat(98)}`);
+    const long = paragraphs(10).join('\n\n');
+
+    await expect(
+      cml.commentCreate({ report: long, publish: false })
+    ).rejects.toThrow('use --overflow to truncate, split or attach it');
+
+    const url = await cml.commentCreate({
+      report: long,
+      publish: false,
+      overflow: 'split'
+    });
+    let comments = await cml.getDriver().commitComments({ commitSha });
+    expect(comments).toHaveLength(5);
+    expect(comments[0].body.startsWith('_Report part 1 of 5_\n\n0 x')).toBe(
+      true
+    );
+    expect(
+      comments[1].body.startsWith(
+        `_Report part 2 of 5, continued from [part 1](${url})_\n\n2 x`
+      )
+    ).toBe(true);
+
+    await cml.commentCreate({
+      report: paragraphs(4).join('\n\n'),
+      publish: false,
+      overflow: 'split',
+      update: true
+    });
+    comments = await cml.getDriver().commitComments({ commitSha });
+    expect(comments.map(({ id }) => id)).toEqual([1]);
+    expect(comments[0].body.startsWith('0 x')).toBe(true);
+
+    await cml.commentCreate({
+      report: long,
+      publish: false,
+      overflow: 'truncate'
+    });
+    await cml.commentCreate({
+      report: long,
+      publish: false,
+      overflow: 'attach'
+    });
+
+    const [, truncated, attached] = await cml
+      .getDriver()
+      .commitComments({ commitSha });
+    expect(truncated.body).toContain(
+      '\n\n:warning: Report truncated to 202 of 1018 characters.\n\n![]('
+    );
+    const [, uri] = attached.body.match(/\[read it in full\]\((.*?)\)/);
+    expect(await fs.readFile(fileURLToPath(uri), 'utf-8')).toBe(long);
+  });
+
+  test('commentCreate writes sections of a shared comment', async () => {
+    const { commentUpdate } = Local.prototype;
+    const spy = jest.spyOn(Local.prototype, 'commentUpdate');
+    const commitSha = await cml.revParse();
+    const names = async () => {
+      const comments = await cml.getDriver().commitComments({ commitSha });
+      return comments.map(({ body }) =>
+        [...body.matchAll(/<!-- cml section: (.*?) -->/g)].map(([, n]) => n)
+      );
+    };
+
+    await cml.commentCreate({ report: 'CPU', section: 'cpu' });
+    await cml.commentCreate({ report: 'CPU again', section: 'cpu' });
+    expect(await names()).toEqual([['cpu']]);
+
+    // Another job overwrites this write with a stale copy of the comment.
+    spy.mockClear();
+    spy.mockImplementationOnce(async function (opts) {
+      const [tpu] = (await this.commitComments({ commitSha })).map(({ body }) =>
+        body.replace(/cml section(.*?): cpu/g, 'cml section$1: tpu')
+      );
+      return await commentUpdate.call(this, { ...opts, report: tpu });
+    });
+    await cml.commentCreate({ report: 'GPU', section: 'gpu' });
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(await names()).toEqual([['tpu', 'gpu']]);
+
+    // Jobs racing to create the comment are merged into the first one.
+    await cml.getDriver().commentCreate({
+      commitSha,
+      report:
+        '<!-- cml section: tpu -->\nstale\n<!-- cml section end: tpu -->\n\n<!-- cml section: arm -->\nARM\n<!-- cml section end: arm -->\n\n![](https://cml.dev/watermark.png "CML watermark")'
+    });
+    await cml.commentCreate({ report: 'CPU', section: 'cpu' });
+    expect(await names()).toEqual([['tpu', 'gpu', 'arm', 'cpu']]);
+
+    const [{ body }] = await cml.getDriver().commitComments({ commitSha });
+    expect(body).toContain('<!-- cml section: tpu -->\nCPU again\n');
+  });
+
+  test('checkCreate annotates checks', async () => {
+    process.chdir(outbox);
+
+    const annotations = join(outbox, 'lint.txt');
+    await fs.writeFile(annotations, 'src/cml.js:3: error: unused variable\n');
+    await cml.checkCreate({
+      report: 'report',
+      headSha: 'abc123',
+      annotations: [annotations],
+      detailsUrl: 'https://ci/1',
+      externalId: '1',
+      text: 'details'
+    });
+
+    const record = JSON.parse(
+      await fs.readFile(join(outbox, 'checks', '1.json'))
+    );
+    expect(record).toMatchObject({
+      detailsUrl: 'https://ci/1',
+      externalId: '1',
+      text: 'details',
+      annotations: [
+        {
+          path: 'src/cml.js',
+          startLine: 3,
+          endLine: 3,
+          level: 'failure',
+          message: 'unused variable'
+        }
+      ]
+    });
+  });
+
+  test('checkUpdate completes a check started earlier', async () => {
+    process.chdir(outbox);
+
+    const id = await cml.checkCreate({
+      report: 'Training...',
+      headSha: 'abc123',
+      title: 'Training',
+      status: 'in_progress'
+    });
+    expect(id).toBe(1);
+    expect(
+      JSON.parse(await fs.readFile(checksPath('file:///repo'), 'utf-8'))
+    ).toEqual({
+      Training: { id: 1, headSha: 'abc123', status: 'in_progress' }
+    });
+    await expect(fs.access('.cml')).rejects.toThrow('ENOENT');
+
+    await cml.checkUpdate({ title: 'Training', report: 'Epoch 1/2' });
+    const check = () => fs.readFile(join('checks', '1.json'), 'utf-8');
+    expect(JSON.parse(await check())).toMatchObject({
+      status: 'in_progress',
+      body: 'Epoch 1/2'
+    });
+    expect(JSON.parse(await check()).conclusion).toBeUndefined();
+
+    await cml.checkUpdate({ id: 1, conclusion: 'failure' });
+    expect(JSON.parse(await check())).toMatchObject({
+      status: 'completed',
+      conclusion: 'failure',
+      body: 'Epoch 1/2'
+    });
+
+    await expect(cml.checkUpdate({ title: 'Other' })).rejects.toThrow(
+      'Check "Other" not found'
+    );
+  });
+
+  test('commentCreate collapses superseded comments', async () => {
+    const commitSha = await cml.revParse();
+
+    await cml.commentCreate({ report: 'first', publish: false });
+    await cml.commentCreate({
+      report: 'other',
+      publish: false,
+      watermarkTitle: 'other'
+    });
+    await cml.commentCreate({
+      report: 'second',
+      publish: false,
+      collapsePrevious: true
+    });
+    const url = await cml.commentCreate({
+      report: 'third',
+      publish: false,
+      collapsePrevious: true
+    });
+
+    const [first, other, second, third] = await cml
+      .getDriver()
+      .commitComments({ commitSha });
+    expect(first.body).toMatch(
+      /^<details>\n<summary>Superseded by <a href=".*\/3\.md">/
+    );
+    expect(first.body).toContain('\n\nfirst\n\n</details>');
+    expect(second.body).toContain(`<a href="${url}">`);
+    expect(other.body.startsWith('other')).toBe(true);
+    expect(third.body.startsWith('third')).toBe(true);
+
+    const comments = await cml.commentList();
+    expect(comments).toHaveLength(4);
+  });
+
+  test('commentList and commentDelete only see watermarked comments', async () => {
+    const commitSha = await cml.revParse();
+
+    await cml.getDriver().commentCreate({ report: 'other', commitSha });
+    for (const report of ['first', 'second', 'third'])
+      await cml.commentCreate({ report, publish: false });
+    await cml.commentCreate({
+      report: 'titled',
+      publish: false,
+      watermarkTitle: 'title'
+    });
+
+    expect((await cml.commentList()).map(({ id }) => id)).toEqual([2, 3, 4, 5]);
+    expect(
+      (await cml.commentList({ watermarkTitle: 'title' })).map(({ id }) => id)
+    ).toEqual([5]);
+
+    await expect(cml.commentDelete({ id: 1 })).rejects.toThrow(
+      'CML comment 1 not found'
+    );
+    await cml.commentDelete({ id: 5 });
+    await cml.commentDelete({ allButLatest: true });
+
+    const comments = await cml.getDriver().commitComments({ commitSha });
+    expect(comments.map(({ id }) => id)).toEqual([1, 4]);
+  });
+});
@@ -0,0 +1,532 @@
+const fetch = require('node-fetch');
+const { URL } = require('url');
+const { spawn } = require('child_process');
+const { resolve } = require('path');
+const fse = require('fs-extra');
+const ProxyAgent = require('proxy-agent');
+const tar = require('tar');
+const winston = require('winston');
+
+const { download, exec, sleep } = require('../utils');
+
+const {
+  BUILD_BUILDID,
+  BUILD_SOURCEBRANCH,
+  BUILD_SOURCEVERSION,
+  SYSTEM_DEFINITIONID,
+  SYSTEM_PULLREQUEST_SOURCEBRANCH,
+  SYSTEM_PULLREQUEST_SOURCECOMMITID,
+  CML_AZURE_AGENT_POOL = 'Default'
+} = process.env;
+
+const API_VER = '7.0';
+const AGENT_RELEASES =
+  'https://api.github.com/repos/microsoft/azure-pipelines-agent/releases/latest';
+// Agent package names for the Node.js architectures it is built for.
+const AGENT_ARCHS = { x64: 'x64', arm64: 'arm64' };
+
+const branchName = (branch) => {
+  if (!branch) return;
+
+  return branch.replace(/refs\/(head|tag)s\//, '');
+};
+
+const prStates = {
+  success: 'succeeded',
+  neutral: 'notApplicable',
+  skipped: 'notApplicable',
+  failure: 'failed',
+  cancelled: 'error',
+  timed_out: 'error'
+};
+
+const mergeStrategies = {
+  merge: 'noFastForward',
+  rebase: 'rebase',
+  squash: 'squash'
+};
+
+class AzureDevOps {
+  constructor(opts = {}) {
+    const { repo, token } = opts;
+
+    if (!repo) throw new Error('repo not found');
+    if (!token) throw new Error('token not found');
+
+    this.repo = repo;
+    this.token = token;
+
+    // e.g. https://dev.azure.com/{organization}/{project}/_git/{repository}
+    // or https://{organization}.visualstudio.com/{project}/_git/{repository}
+    const { origin, pathname } = new URL(repo);
+    const [base, name] = pathname.split('/_git/');
+    if (!name) throw new Error('Invalid Azure Repos address');
+
+    const components = base.split('/').filter(Boolean);
+    this.project = components.pop();
+    this.repoName = name.split('/')[0];
+    this.collection = [origin, ...components].join('/');
+    this.api = `${this.collection}/${this.project}/_apis`;
+  }
+
+  get repoPath() {
+    return `/git/repositories/${encodeURIComponent(this.repoName)}`;
+  }
+
+  async commentCreate() {
+    throw new Error('Azure DevOps does not support commit comments!');
+  }
+
+  async commentUpdate() {
+    throw new Error('Azure DevOps does not support commit comments!');
+  }
+
+  async commentDelete() {
+    throw new Error('Azure DevOps does not support commit comments!');
+  }
+
+  async commitComments() {
+    throw new Error('Azure DevOps does not support commit comments!');
+  }
+
+  async commitPrs(opts = {}) {
+    const { commitSha, state = 'active' } = opts;
+
+    const { value: prs } = await this.request({
+      endpoint: `${this.repoPath}/pullrequests?searchCriteria.status=${state}`
+    });
+
+    return prs
+      .filter(
+        ({ lastMergeSourceCommit: { commitId } = {} }) => commitId === commitSha
+      )
+      .map((pr) => this.parsePr(pr));
+  }
+
+  async checkCreate(opts = {}) {
+    const {
+      report,
+      headSha,
+      title = 'CML Report',
+      conclusion = 'success',
+      status = 'completed'
+    } = opts;
+
+    const state = status === 'completed' ? prStates[conclusion] : 'pending';
+    const [description] = (report || title).split('\n');
+    const body = JSON.stringify({
+      state,
+      description,
+      context: { name: title, genre: 'cml' }
+    });
+
+    const [{ url } = {}] = await this.commitPrs({ commitSha: headSha });
+    if (url) {
+      const [prNumber] = url.split('/').slice(-1);
+      return await this.request({
+        endpoint: `${this.repoPath}/pullRequests/${prNumber}/statuses`,
+        method: 'POST',
+        body
+      });
+    }
+
+    return await this.request({
+      endpoint: `${this.repoPath}/commits/${headSha}/statuses`,
+      method: 'POST',
+      body
+    });
+  }
+
+  // Pull request statuses are replaced by posting them again with the same title.
+  async checkUpdate(opts = {}) {
+    return await this.checkCreate(opts);
+  }
+
+  async upload() {
+    throw new Error('Azure DevOps does not support publish!');
+  }
+
+  async runnerToken() {
+    // Agents authenticate with the personal access token itself.
+    return this.token;
+  }
+
+  async registerRunner() {
+    throw new Error('Azure DevOps does not support registerRunner!');
+  }
+
+  async agentPool() {
+    if (this.poolId) return this.poolId;
+
+    const {
+      value: [pool]
+    } = await this.request({
+      api: `${this.collection}/_apis`,
+      endpoint: `/distributedtask/pools?poolName=${encodeURIComponent(
+        CML_AZURE_AGENT_POOL
+      )}`
+    });
+    if (!pool) throw new Error(`Agent pool ${CML_AZURE_AGENT_POOL} not found`);
+
+    this.poolId = pool.id;
+    return this.poolId;
+  }
+
+  async agentsRequest(opts = {}) {
+    const { endpoint = '' } = opts;
+    const poolId = await this.agentPool();
+
+    return await this.request({
+      ...opts,
+      api: `${this.collection}/_apis`,
+      endpoint: `/distributedtask/pools/${poolId}/agents${endpoint}`
+    });
+  }
+
+  async unregisterRunner(opts = {}) {
+    const { runnerId } = opts;
+
+    await this.agentsRequest({
+      endpoint: `/${runnerId}`,
+      method: 'DELETE',
+      raw: true
+    });
+  }
+
+  async startRunner(opts = {}) {
+    const { workdir, single, name, labels } = opts;
+
+    try {
+      if (!(await fse.pathExists(resolve(workdir, 'config.sh')))) {
+        const platform = process.platform === 'darwin' ? 'osx' : 'linux';
+        const arch = AGENT_ARCHS[process.arch];
+        if (!arch)
+          throw new Error(`the agent is not built for ${process.arch}`);
+
+        const { tag_name: tag } = await (
+          await fetch(AGENT_RELEASES, { agent: new ProxyAgent() })
+        ).json();
+        const ver = tag.substring(1);
+        const destination = resolve(workdir, 'vsts-agent.tar.gz');
+        const url = `https://vstsagentpackage.azureedge.net/agent/${ver}/vsts-agent-${platform}-${arch}-${ver}.tar.gz`;
+        await download({ url, path: destination });
+        await tar.extract({ file: destination, cwd: workdir });
+      }
+
+      await exec(
+        `${resolve(workdir, 'config.sh')} --unattended --replace --url "${
+          this.collection
+        }" --auth pat --token "${await this.runnerToken()}" --pool "${CML_AZURE_AGENT_POOL}" --agent "${name}" --work "${resolve(
+          workdir,
+          '_work'
+        )}" --acceptTeeEula`
+      );
+
+      // Azure Pipelines has no runner labels; jobs select agents through
+      // demands, so labels are registered as user capabilities.
+      const runner = await this.runnerByName({ name });
+      await this.agentsRequest({
+        endpoint: `/${runner.id}/usercapabilities`,
+        method: 'PUT',
+        body: JSON.stringify(
+          Object.fromEntries(labels.split(',').map((label) => [label, 'true']))
+        )
+      });
+
+      return spawn(`${resolve(workdir, 'run.sh')}${single ? ' --once' : ''}`, {
+        shell: true
+      });
+    } catch (err) {
+      throw new Error(`Failed preparing Azure Pipelines agent: ${err.message}`);
+    }
+  }
+
+  async runnerByName({ name } = {}) {
+    const { value: agents } = await this.agentsRequest({
+      endpoint: `?agentName=${encodeURIComponent(name)}`
+    });
+    const [runner] = agents.map((agent) => this.parseRunner(agent));
+
+    return runner;
+  }
+
+  async runners() {
+    const { value: agents } = await this.agentsRequest({
+      endpoint: '?includeCapabilities=true&includeAssignedRequest=true'
+    });
+
+    return agents.map((agent) => this.parseRunner(agent));
+  }
+
+  async runnerById({ id } = {}) {
+    const agent = await this.agentsRequest({
+      endpoint: `/${id}?includeCapabilities=true&includeAssignedRequest=true`
+    });
+
+    return this.parseRunner(agent);
+  }
+
+  async queuedJobs() {
+    throw new Error('Azure DevOps does not support queuedJobs!');
+  }
+
+  runnerLogPatterns() {
+    return {
+      ready: /Listening for Jobs/,
+      job_started: /Running job/,
+      job_ended: /completed with result/,
+      job_ended_succeded: /completed with result: Succeeded/,
+      // Agents only log the names of their jobs.
+      job: /(?:Running job: |Job )(.+?)(?: completed with result: \w+)?$/m
+    };
+  }
+
+  parseRunner(agent) {
+    const { id, name, status, assignedRequest, userCapabilities = {} } = agent;
+    return {
+      id,
+      name,
+      labels: Object.keys(userCapabilities || {}),
+      online: status === 'online',
+      busy: Boolean(assignedRequest)
+    };
+  }
+
+  parsePr(pr) {
+    const { pullRequestId, sourceRefName: source, targetRefName: target } = pr;
+    return {
+      url: `${this.repo}/pullrequest/${pullRequestId}`,
+      source: branchName(source),
+      target: branchName(target)
+    };
+  }
+
+  async prCreate(opts = {}) {
+    const { source, target, title, description, autoMerge } = opts;
+
+    const pr = await this.request({
+      endpoint: `${this.repoPath}/pullrequests`,
+      method: 'POST',
+      body: JSON.stringify({
+        sourceRefName: `refs/heads/${source}`,
+        targetRefName: `refs/heads/${target}`,
+        title,
+        description
+      })
+    });
+
+    const {
+      pullRequestId,
+      createdBy: { id: userId }
+    } = pr;
+    if (autoMerge)
+      await this.prAutoMerge({
+        pullRequestId,
+        mergeMode: autoMerge,
+        userId
+      });
+    return this.parsePr(pr).url;
+  }
+
+  /**
+   * @param {{ pullRequestId: number, mergeMode: string, mergeMessage: string, userId: string }} param0
+   * @returns {Promise<void>}
+   */
+  async prAutoMerge({ pullRequestId, mergeMode, mergeMessage, userId }) {
+    await this.request({
+      endpoint: `${this.repoPath}/pullrequests/${pullRequestId}`,
+      method: 'PATCH',
+      body: JSON.stringify({
+        autoCompleteSetBy: { id: userId },
+        completionOptions: {
+          mergeStrategy: mergeStrategies[mergeMode],
+          mergeCommitMessage: mergeMessage,
+          deleteSourceBranch: true
+        }
+      })
+    });
+  }
+
+  async prCommentCreate(opts = {}) {
+    const { report: content, prNumber } = opts;
+
+    const { id } = await this.request({
+      endpoint: `${this.repoPath}/pullRequests/${prNumber}/threads`,
+      method: 'POST',
+      body: JSON.stringify({
+        comments: [{ parentCommentId: 0, content, commentType: 'text' }],
+        status: 'active'
+      })
+    });
+
+    return `${this.repo}/pullrequest/${prNumber}?discussionId=${id}`;
+  }
+
+  async prCommentUpdate(opts = {}) {
+    const { report: content, prNumber, id } = opts;
+
+    // Each CML report is a thread; its first comment holds the report.
+    await this.request({
+      endpoint: `${this.repoPath}/pullRequests/${prNumber}/threads/${id}/comments/1`,
+      method: 'PATCH',
+      body: JSON.stringify({ content })
+    });
+
+    return `${this.repo}/pullrequest/${prNumber}?discussionId=${id}`;
+  }
+
+  async prCommentDelete(opts = {}) {
+    const { prNumber, id } = opts;
+
+    // Threads can't be deleted, so the report is, and its thread is closed.
+    const endpoint = `${this.repoPath}/pullRequests/${prNumber}/threads/${id}`;
+    await this.request({
+      endpoint: `${endpoint}/comments/1`,
+      method: 'DELETE',
+      raw: true
+    });
+    await this.request({
+      endpoint,
+      method: 'PATCH',
+      body: JSON.stringify({ status: 'closed' })
+    });
+  }
+
+  async prComments(opts = {}) {
+    const { prNumber } = opts;
+
+    const { value: threads } = await this.request({
+      endpoint: `${this.repoPath}/pullRequests/${prNumber}/threads`
+    });
+
+    return threads
+      .filter(({ comments: [first] = [] }) => first && !first.isDeleted)
+      .map(({ id, comments: [{ content: body = '' }] }) => {
+        return { id, body };
+      });
+  }
+
+  async prs(opts = {}) {
+    const { state = 'active' } = opts;
+
+    const { value: prs } = await this.request({
+      endpoint: `${this.repoPath}/pullrequests?searchCriteria.status=${state}`
+    });
+
+    return prs.map((pr) => this.parsePr(pr));
+  }
+
+  async pipelineRerun({ id = BUILD_BUILDID, jobId } = {}) {
+    if (!id && jobId)
+      winston.warn('Azure DevOps does not support pipelineRerun by jobId!');
+
+    const endpoint = `/build/builds/${id}`;
+    let { status } = await this.request({ endpoint });
+
+    if (status === 'inProgress') {
+      await this.request({
+        endpoint,
+        method: 'PATCH',
+        body: JSON.stringify({ status: 'cancelling' })
+      });
+
+      while (status !== 'completed') {
+        ({ status } = await this.request({ endpoint }));
+        await sleep(1);
+      }
+    }
+
+    await this.request({
+      endpoint: `${endpoint}?retry=true`,
+      method: 'PATCH',
+      body: JSON.stringify({})
+    });
+  }
+
+  async pipelineJobs() {
+    winston.warn('Azure DevOps does not support pipelineJobs yet!');
+
+    return [];
+  }
+
+  async updateGitConfig({ userName, userEmail, remote } = {}) {
+    const repo = new URL(this.repo);
+    repo.password = this.token;
+    repo.username = 'token';
+
+    const command = `
+    git config user.name "${userName || this.userName}" &&
+    git config user.email "${userEmail || this.userEmail}" &&
+    git remote set-url ${remote} "${repo.toString()}"`;
+
+    return command;
+  }
+
+  get maxCommentLength() {
+    return 150000;
+  }
+
+  get workflowId() {
+    return SYSTEM_DEFINITIONID;
+  }
+
+  get runId() {
+    return BUILD_BUILDID;
+  }
+
+  warn(message) {
+    console.error(`##vso[task.logissue type=warning]${message}`);
+  }
+
+  get sha() {
+    return SYSTEM_PULLREQUEST_SOURCECOMMITID || BUILD_SOURCEVERSION;
+  }
+
+  get branch() {
+    return branchName(SYSTEM_PULLREQUEST_SOURCEBRANCH || BUILD_SOURCEBRANCH);
+  }
+
+  get userEmail() {
+    return process.env.BUILD_REQUESTEDFOREMAIL;
+  }
+
+  get userName() {
+    return process.env.BUILD_REQUESTEDFOR;
+  }
+
+  async request(opts = {}) {
+    const { token } = this;
+    const { endpoint, method = 'GET', body, raw, api = this.api } = opts;
+
+    if (!endpoint) throw new Error('Azure DevOps API endpoint not found');
+
+    const url = `${api}${endpoint}${
+      endpoint.includes('?') ? '&' : '?'
+    }api-version=${API_VER}`;
+    const headers = {
+      Authorization: `Basic ${Buffer.from(`:${token}`).toString('base64')}`,
+      Accept: 'application/json'
+    };
+    if (body) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(url, {
+      method,
+      headers,
+      body,
+      agent: new ProxyAgent()
+    });
+
+    if (!response.ok) {
+      let message = '';
+      try {
+        ({ message = '' } = await response.json());
+      } catch (err) {}
+      throw new Error(`${response.statusText} ${message}`.trim());
+    }
+    if (raw) return response;
+
+    return await response.json();
+  }
+}
+
+module.exports = AzureDevOps;
@@ -0,0 +1,205 @@
+const http = require('http');
+const tempy = require('tempy');
+
+const AzureDevOps = require('./azure_devops');
+
+const TOKEN = 'azure-token';
+
+describe('Azure DevOps driver against a mock API', () => {
+  let server;
+  let repo;
+  const requests = [];
+  const api = '/org/project/_apis/git/repositories/repo';
+
+  const routes = {
+    [`GET ${api}/pullrequests`]: () => ({
+      value: [
+        {
+          pullRequestId: 7,
+          sourceRefName: 'refs/heads/feature',
+          targetRefName: 'refs/heads/main',
+          lastMergeSourceCommit: { commitId: 'abc123' }
+        }
+      ]
+    }),
+    [`POST ${api}/pullrequests`]: () => ({
+      pullRequestId: 8,
+      sourceRefName: 'refs/heads/feature',
+      targetRefName: 'refs/heads/main',
+      createdBy: { id: 'user-id' }
+    }),
+    [`PATCH ${api}/pullrequests/8`]: ({ body }) => body,
+    [`GET ${api}/pullRequests/7/threads`]: () => ({
+      value: [
+        { id: 1, comments: [{ id: 1, content: 'first' }] },
+        { id: 2, comments: [{ id: 1, content: 'gone', isDeleted: true }] }
+      ]
+    }),
+    [`POST ${api}/pullRequests/7/threads`]: () => ({ id: 3 }),
+    [`PATCH ${api}/pullRequests/7/threads/1/comments/1`]: ({ body }) => body,
+    [`DELETE ${api}/pullRequests/7/threads/1/comments/1`]: () => ({}),
+    [`PATCH ${api}/pullRequests/7/threads/1`]: ({ body }) => body,
+    [`POST ${api}/pullRequests/7/statuses`]: ({ body }) => body,
+    'GET /org/_apis/distributedtask/pools': () => ({ value: [{ id: 1 }] }),
+    'GET /org/_apis/distributedtask/pools/1/agents': () => ({
+      value: [
+        {
+          id: 4,
+          name: 'cml-agent',
+          status: 'online',
+          assignedRequest: { requestId: 1 },
+          userCapabilities: { cml: 'true' }
+        }
+      ]
+    })
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let data = '';
+      req.on('data', (chunk) => (data += chunk));
+      req.on('end', () => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        const body = data ? JSON.parse(data) : undefined;
+        requests.push({
+          method: req.method,
+          pathname,
+          headers: req.headers,
+          body
+        });
+
+        const route = routes[`${req.method} ${pathname}`];
+        if (!route || searchParams.get('api-version') !== '7.0') {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify({ message: 'not found' }));
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(route({ body })));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, 'localhost', resolve));
+    repo = `http://localhost:${server.address().port}/org/project/_git/repo`;
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => (requests.length = 0));
+
+  test('organization, project and repository are parsed', () => {
+    const client = new AzureDevOps({
+      repo: 'https://myorg.visualstudio.com/project/_git/repo',
+      token: TOKEN
+    });
+    expect(client.collection).toBe('https://myorg.visualstudio.com');
+    expect(client.project).toBe('project');
+    expect(client.repoName).toBe('repo');
+  });
+
+  test('commitPrs matches the last merge source commit', async () => {
+    const client = new AzureDevOps({ repo, token: TOKEN });
+
+    expect(await client.commitPrs({ commitSha: 'abc123' })).toEqual([
+      { url: `${repo}/pullrequest/7`, source: 'feature', target: 'main' }
+    ]);
+    expect(requests[0].headers.authorization).toBe(
+      `Basic ${Buffer.from(`:${TOKEN}`).toString('base64')}`
+    );
+  });
+
+  test('PR threads are listed, created, updated and deleted', async () => {
+    const client = new AzureDevOps({ repo, token: TOKEN });
+
+    expect(await client.prComments({ prNumber: 7 })).toEqual([
+      { id: 1, body: 'first' }
+    ]);
+    expect(await client.prCommentCreate({ report: 'new', prNumber: 7 })).toBe(
+      `${repo}/pullrequest/7?discussionId=3`
+    );
+    expect(
+      await client.prCommentUpdate({ report: 'updated', prNumber: 7, id: 1 })
+    ).toBe(`${repo}/pullrequest/7?discussionId=1`);
+    expect(requests.pop().body).toEqual({ content: 'updated' });
+
+    await client.prCommentDelete({ prNumber: 7, id: 1 });
+    expect(requests.slice(-2)).toMatchObject([
+      {
+        method: 'DELETE',
+        pathname: `${api}/pullRequests/7/threads/1/comments/1`
+      },
+      {
+        method: 'PATCH',
+        pathname: `${api}/pullRequests/7/threads/1`,
+        body: { status: 'closed' }
+      }
+    ]);
+  });
+
+  test('prCreate sets auto-complete with the merge strategy', async () => {
+    const client = new AzureDevOps({ repo, token: TOKEN });
+    const url = await client.prCreate({
+      source: 'feature',
+      target: 'main',
+      title: 'title',
+      description: 'description',
+      autoMerge: 'merge'
+    });
+
+    expect(url).toBe(`${repo}/pullrequest/8`);
+    expect(requests.pop().body).toMatchObject({
+      autoCompleteSetBy: { id: 'user-id' },
+      completionOptions: { mergeStrategy: 'noFastForward' }
+    });
+  });
+
+  test('checkCreate publishes a PR status', async () => {
+    const client = new AzureDevOps({ repo, token: TOKEN });
+    const status = await client.checkCreate({
+      report: 'Report',
+      headSha: 'abc123',
+      status: 'in_progress'
+    });
+
+    expect(status).toEqual({
+      state: 'pending',
+      description: 'Report',
+      context: { name: 'CML Report', genre: 'cml' }
+    });
+  });
+
+  test('agents are parsed into runners', async () => {
+    const client = new AzureDevOps({ repo, token: TOKEN });
+
+    expect(await client.runners()).toEqual([
+      { id: 4, name: 'cml-agent', labels: ['cml'], online: true, busy: true }
+    ]);
+  });
+
+  test('jobs are matched by name in the agent logs', () => {
+    const { job } = new AzureDevOps({ repo, token: TOKEN }).runnerLogPatterns();
+
+    expect(job.exec('2023-06-05 16:26:00Z: Running job: Train model')[1]).toBe(
+      'Train model'
+    );
+    expect(
+      job.exec(
+        '2023-06-05 16:30:00Z: Job Train model completed with result: Failed'
+      )[1]
+    ).toBe('Train model');
+  });
+
+  test('startRunner refuses architectures without an agent build', async () => {
+    const { arch } = process;
+    Object.defineProperty(process, 'arch', { value: 'ia32' });
+    try {
+      const client = new AzureDevOps({ repo, token: TOKEN });
+      await expect(
+        client.startRunner({ workdir: tempy.directory() })
+      ).rejects.toThrow(
+        'Failed preparing Azure Pipelines agent: the agent is not built for ia32'
+      );
+    } finally {
+      Object.defineProperty(process, 'arch', { value: arch });
+    }
+  });
+});
@@ -22,9 +22,14 @@ describe('Non Enviromental tests', () => {
   });
 
   test('Check', async () => {
-    await expect(client.checkCreate()).rejects.toThrow(
-      'Bitbucket Cloud does not support check!'
-    );
+    const { key, state } = await client.checkCreate({
+      headSha: SHA,
+      report: '## Test check',
+      title: 'CML e2e'
+    });
+
+    expect(key).toBe('CML e2e');
+    expect(state).toBe('SUCCESSFUL');
   });
 
   test('Publish', async () => {
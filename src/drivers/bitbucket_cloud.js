@@ -15,6 +15,26 @@ const {
   BITBUCKET_BUILD_NUMBER
 } = process.env;
 
+const buildStates = {
+  success: 'SUCCESSFUL',
+  neutral: 'SUCCESSFUL',
+  skipped: 'SUCCESSFUL',
+  failure: 'FAILED',
+  cancelled: 'STOPPED',
+  timed_out: 'FAILED'
+};
+
+const annotationSeverities = {
+  failure: 'HIGH',
+  warning: 'MEDIUM',
+  notice: 'LOW'
+};
+
+// Code Insights limits: report details are plain text of up to 2000
+// characters, and annotations are added up to 100 per request.
+const REPORT_DETAILS = 2000;
+const REPORT_ANNOTATIONS = 100;
+
 class BitbucketCloud {
   constructor(opts = {}) {
     const { repo, token } = opts;
@@ -61,6 +81,14 @@ class BitbucketCloud {
     ).links.html.href;
   }
 
+  async commentDelete(opts = {}) {
+    const { projectPath } = this;
+    const { commitSha, id } = opts;
+
+    const endpoint = `/repositories/${projectPath}/commit/${commitSha}/comments/${id}`;
+    await this.request({ endpoint, method: 'DELETE' });
+  }
+
   async commitComments(opts = {}) {
     const { projectPath } = this;
     const { commitSha } = opts;
@@ -84,16 +112,100 @@ class BitbucketCloud {
       const {
         links: {
           html: { href: url }
-        }
+        },
+        source: { branch: { name: source } = {} } = {},
+        destination: { branch: { name: target } = {} } = {}
       } = pr;
       return {
-        url
+        url,
+        source,
+        target
       };
     });
   }
 
-  async checkCreate() {
-    throw new Error('Bitbucket Cloud does not support check!');
+  async checkCreate(opts = {}) {
+    const { projectPath } = this;
+    const {
+      report = '',
+      headSha,
+      title = 'CML Report',
+      conclusion = 'success',
+      status = 'completed',
+      annotations = [],
+      detailsUrl,
+      externalId
+    } = opts;
+
+    const state =
+      status === 'completed' ? buildStates[conclusion] : 'INPROGRESS';
+    const url =
+      detailsUrl ||
+      (BITBUCKET_BUILD_NUMBER
+        ? `${this.repo}/addon/pipelines/home#!/results/${BITBUCKET_BUILD_NUMBER}`
+        : `${this.repo}/commits/${headSha}`);
+    const [description] = (report || title).split('\n');
+    const endpoint = `/repositories/${projectPath}/commit/${headSha}`;
+
+    const buildStatus = await this.request({
+      endpoint: `${endpoint}/statuses/build`,
+      method: 'POST',
+      body: JSON.stringify({ key: title, name: title, state, url, description })
+    });
+
+    const reportId = encodeURIComponent(
+      externalId || title.toLowerCase().replace(/[^a-z0-9]+/g, '-')
+    );
+    await this.request({
+      endpoint: `${endpoint}/reports/${reportId}`,
+      method: 'PUT',
+      body: JSON.stringify({
+        title,
+        details: (report || title).substring(0, REPORT_DETAILS),
+        report_type: 'TEST',
+        reporter: 'CML',
+        link: url,
+        result:
+          {
+            SUCCESSFUL: 'PASSED',
+            FAILED: 'FAILED',
+            STOPPED: 'FAILED'
+          }[state] || 'PENDING'
+      })
+    });
+
+    for (let i = 0; i < annotations.length; i += REPORT_ANNOTATIONS) {
+      await this.request({
+        endpoint: `${endpoint}/reports/${reportId}/annotations`,
+        method: 'POST',
+        body: JSON.stringify(
+          annotations
+            .slice(i, i + REPORT_ANNOTATIONS)
+            .map((annotation, index) => {
+              const { path, startLine, level, title, message, details } =
+                annotation;
+              return {
+                external_id: `${reportId}-${i + index + 1}`,
+                annotation_type: 'BUG',
+                path,
+                line: startLine,
+                summary: title ? `${title}: ${message}` : message,
+                details,
+                severity: annotationSeverities[level],
+                result: 'FAILED'
+              };
+            })
+        )
+      });
+    }
+
+    return buildStatus;
+  }
+
+  // Build statuses and reports are replaced by posting them again with the
+  // same title.
+  async checkUpdate(opts = {}) {
+    return await this.checkCreate(opts);
   }
 
   async upload(opts = {}) {
@@ -235,6 +347,37 @@ class BitbucketCloud {
     throw new Error('Not yet implemented');
   }
 
+  // Pending steps of the latest pipelines that run on self-hosted runners
+  // with the given labels.
+  async queuedJobs(opts = {}) {
+    const { labels = '' } = opts;
+    const { projectPath } = this;
+    const accepted = ['self.hosted', 'linux', ...labels.split(',')];
+
+    const { values: pipelines } = await this.request({
+      endpoint: `/repositories/${projectPath}/pipelines/?sort=-created_on&pagelen=50`
+    });
+    const steps = await Promise.all(
+      pipelines
+        .filter(({ state: { name } }) => name !== 'COMPLETED')
+        .map(({ uuid }) =>
+          this.paginatedRequest({
+            endpoint: `/repositories/${projectPath}/pipelines/${uuid}/steps/`
+          })
+        )
+    );
+
+    return []
+      .concat(...steps)
+      .filter(
+        ({ state: { name }, runs_on: runsOn = [] }) =>
+          name === 'PENDING' &&
+          runsOn.length &&
+          runsOn.every((label) => accepted.includes(label))
+      )
+      .map(({ uuid: id, name, runs_on: labels }) => ({ id, name, labels }));
+  }
+
   async prCreate(opts = {}) {
     const { projectPath } = this;
     const { source, target, title, description, autoMerge } = opts;
@@ -332,6 +475,14 @@ class BitbucketCloud {
     return output.links.self.href;
   }
 
+  async prCommentDelete(opts = {}) {
+    const { projectPath } = this;
+    const { prNumber, id } = opts;
+
+    const endpoint = `/repositories/${projectPath}/pullrequests/${prNumber}/comments/${id}`;
+    await this.request({ endpoint, method: 'DELETE' });
+  }
+
   async prComments(opts = {}) {
     const { projectPath } = this;
     const { prNumber } = opts;
@@ -425,6 +576,10 @@ class BitbucketCloud {
     return command;
   }
 
+  get maxCommentLength() {
+    return 32768;
+  }
+
   get workflowId() {
     return BITBUCKET_PIPELINE_UUID;
   }
@@ -480,7 +635,9 @@ class BitbucketCloud {
       agent: new ProxyAgent()
     });
 
-    const responseBody = response.headers.get('Content-Type').includes('json')
+    const responseBody = (response.headers.get('Content-Type') || '').includes(
+      'json'
+    )
       ? await response.json()
       : await response.text();
 
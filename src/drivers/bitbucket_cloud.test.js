@@ -0,0 +1,109 @@
+const http = require('http');
+
+const BitbucketCloud = require('./bitbucket_cloud');
+
+const TOKEN = 'bitbucket-cloud-token';
+
+describe('Bitbucket Cloud driver against a mock API', () => {
+  let server;
+  let client;
+  const requests = [];
+  const commit = '/repositories/workspace%2Frepo/commit/abc123';
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let data = '';
+      req.on('data', (chunk) => (data += chunk));
+      req.on('end', () => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const body = data ? JSON.parse(data) : undefined;
+        requests.push({ method: req.method, pathname, body });
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body || {}));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, 'localhost', resolve));
+
+    client = new BitbucketCloud({
+      repo: 'https://bitbucket.org/workspace/repo',
+      token: TOKEN
+    });
+    client.api = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => (requests.length = 0));
+
+  test('checkCreate publishes a build status and a Code Insights report', async () => {
+    const annotations = Array.from({ length: 101 }, (_, index) => ({
+      path: 'src/train.py',
+      startLine: index + 1,
+      endLine: index + 1,
+      level: 'warning',
+      message: `warning ${index + 1}`
+    }));
+    annotations[0] = { ...annotations[0], level: 'failure', title: 'lint' };
+
+    const status = await client.checkCreate({
+      headSha: 'abc123',
+      report: `# Report\n\n${'x'.repeat(3000)}`,
+      conclusion: 'failure',
+      annotations
+    });
+    expect(status).toMatchObject({ key: 'CML Report', state: 'FAILED' });
+
+    const [build, report, first, second] = requests;
+    expect(build).toMatchObject({
+      method: 'POST',
+      pathname: `${commit}/statuses/build`,
+      body: {
+        url: 'https://bitbucket.org/workspace/repo/commits/abc123',
+        description: '# Report'
+      }
+    });
+    expect(report).toMatchObject({
+      method: 'PUT',
+      pathname: `${commit}/reports/cml-report`,
+      body: { title: 'CML Report', report_type: 'TEST', result: 'FAILED' }
+    });
+    expect(report.body.details).toHaveLength(2000);
+
+    expect(first.pathname).toBe(`${commit}/reports/cml-report/annotations`);
+    expect(first.body).toHaveLength(100);
+    expect(first.body[0]).toEqual({
+      external_id: 'cml-report-1',
+      annotation_type: 'BUG',
+      path: 'src/train.py',
+      line: 1,
+      summary: 'lint: warning 1',
+      severity: 'HIGH',
+      result: 'FAILED'
+    });
+    expect(second.body).toEqual([
+      expect.objectContaining({ external_id: 'cml-report-101', line: 101 })
+    ]);
+  });
+
+  test('checkUpdate reports checks in progress as pending', async () => {
+    await client.checkUpdate({
+      headSha: 'abc123',
+      title: 'Training',
+      status: 'in_progress',
+      externalId: 'training',
+      detailsUrl: 'https://example.com/run'
+    });
+
+    const [build, report] = requests;
+    expect(build.body).toMatchObject({
+      key: 'Training',
+      state: 'INPROGRESS',
+      url: 'https://example.com/run'
+    });
+    expect(report).toMatchObject({
+      pathname: `${commit}/reports/training`,
+      body: { result: 'PENDING', link: 'https://example.com/run' }
+    });
+  });
+});
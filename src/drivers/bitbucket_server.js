@@ -0,0 +1,424 @@
+const fetch = require('node-fetch');
+const winston = require('winston');
+const { URL } = require('url');
+const ProxyAgent = require('proxy-agent');
+
+const buildStates = {
+  success: 'SUCCESSFUL',
+  neutral: 'SUCCESSFUL',
+  skipped: 'SUCCESSFUL',
+  failure: 'FAILED',
+  cancelled: 'FAILED',
+  timed_out: 'FAILED'
+};
+
+const mergeStrategies = {
+  merge: 'no-ff',
+  rebase: 'rebase-no-ff',
+  squash: 'squash'
+};
+
+// Access tokens are sent as bearer tokens; base64-encoded `user:password`
+// pairs (the same format used with Bitbucket Cloud) as basic credentials.
+const basicCredentials = (token) => {
+  const decoded = Buffer.from(token, 'base64').toString('utf-8');
+  if (
+    decoded.includes(':') &&
+    Buffer.from(decoded).toString('base64') === token
+  )
+    return decoded.split(':');
+};
+
+class BitbucketServer {
+  constructor(opts = {}) {
+    const { repo, token } = opts;
+
+    if (!token) throw new Error('token not found');
+    if (!repo) throw new Error('repo not found');
+
+    this.token = token;
+    this.repo = repo;
+
+    // Both https://host/projects/KEY/repos/slug and https://host/scm/key/slug
+    // are accepted, optionally under a context path.
+    const { origin, pathname } = new URL(repo);
+    const components = pathname.split('/').filter(Boolean);
+    const index = components.findIndex((component) =>
+      ['projects', 'users', 'scm'].includes(component)
+    );
+    if (index < 0)
+      throw new Error('Invalid Bitbucket Server repository address');
+
+    const [type, project, ...rest] = components.slice(index);
+    const slug = type === 'scm' ? rest[0] : rest[1];
+    const key = type === 'users' ? `~${project}` : project;
+
+    this.base = [origin, ...components.slice(0, index)].join('/');
+    this.api = `${this.base}/rest/api/1.0`;
+    this.projectPath = `/projects/${key.toUpperCase()}/repos/${slug}`;
+    this.repoUrl = `${this.base}${
+      key.startsWith('~')
+        ? `/users/${key.substring(1)}`
+        : `/projects/${key.toUpperCase()}`
+    }/repos/${slug}`;
+  }
+
+  async commentCreate(opts = {}) {
+    const { projectPath } = this;
+    const { commitSha, report: text } = opts;
+
+    const { id } = await this.request({
+      endpoint: `${projectPath}/commits/${commitSha}/comments`,
+      method: 'POST',
+      body: JSON.stringify({ text })
+    });
+
+    return `${this.repoUrl}/commits/${commitSha}?commentId=${id}`;
+  }
+
+  async commentUpdate(opts = {}) {
+    const { projectPath } = this;
+    const { commitSha, report: text, id } = opts;
+
+    const endpoint = `${projectPath}/commits/${commitSha}/comments/${id}`;
+    // A version read along with the comment makes concurrent edits conflict.
+    const { version } =
+      opts.version === undefined ? await this.request({ endpoint }) : opts;
+    await this.request({
+      endpoint,
+      method: 'PUT',
+      body: JSON.stringify({ text, version })
+    });
+
+    return `${this.repoUrl}/commits/${commitSha}?commentId=${id}`;
+  }
+
+  async commentDelete(opts = {}) {
+    const { projectPath } = this;
+    const { commitSha, id } = opts;
+
+    const endpoint = `${projectPath}/commits/${commitSha}/comments/${id}`;
+    const { version } = await this.request({ endpoint });
+    await this.request({
+      endpoint: `${endpoint}?version=${version}`,
+      method: 'DELETE'
+    });
+  }
+
+  async commitComments(opts = {}) {
+    const { projectPath } = this;
+    const { commitSha } = opts;
+
+    const comments = await this.paginatedRequest({
+      endpoint: `${projectPath}/commits/${commitSha}/comments`
+    });
+
+    return comments.map(({ id, text: body = '', version }) => {
+      return { id, body, version };
+    });
+  }
+
+  async commitPrs(opts = {}) {
+    const { projectPath } = this;
+    const { commitSha, state = 'OPEN' } = opts;
+
+    const prs = await this.paginatedRequest({
+      endpoint: `${projectPath}/commits/${commitSha}/pull-requests`
+    });
+
+    return prs.filter((pr) => pr.state === state).map((pr) => this.parsePr(pr));
+  }
+
+  async checkCreate(opts = {}) {
+    const {
+      report,
+      headSha,
+      title = 'CML Report',
+      conclusion = 'success',
+      status = 'completed'
+    } = opts;
+
+    const state =
+      status === 'completed' ? buildStates[conclusion] : 'INPROGRESS';
+    const [description] = (report || title).split('\n');
+
+    return await this.request({
+      api: `${this.base}/rest/build-status/1.0`,
+      endpoint: `/commits/${headSha}`,
+      method: 'POST',
+      body: JSON.stringify({
+        state,
+        key: title,
+        name: title,
+        url: `${this.repoUrl}/commits/${headSha}`,
+        description
+      })
+    });
+  }
+
+  // Build statuses are replaced by posting them again with the same title.
+  async checkUpdate(opts = {}) {
+    return await this.checkCreate(opts);
+  }
+
+  async upload() {
+    throw new Error('Bitbucket Server does not support publish!');
+  }
+
+  async runnerToken() {
+    throw new Error('Bitbucket Server does not support runners!');
+  }
+
+  async registerRunner() {
+    throw new Error('Bitbucket Server does not support runners!');
+  }
+
+  async unregisterRunner() {
+    throw new Error('Bitbucket Server does not support runners!');
+  }
+
+  async startRunner() {
+    throw new Error('Bitbucket Server does not support runners!');
+  }
+
+  async runners() {
+    throw new Error('Bitbucket Server does not support runners!');
+  }
+
+  async runnerById() {
+    throw new Error('Bitbucket Server does not support runners!');
+  }
+
+  async queuedJobs() {
+    throw new Error('Bitbucket Server does not support runners!');
+  }
+
+  parsePr(pr) {
+    const {
+      links: {
+        self: [{ href: url }]
+      },
+      fromRef: { displayId: source },
+      toRef: { displayId: target }
+    } = pr;
+    return { url, source, target };
+  }
+
+  async prCreate(opts = {}) {
+    const { projectPath } = this;
+    const { source, target, title, description, autoMerge } = opts;
+
+    const pr = await this.request({
+      endpoint: `${projectPath}/pull-requests`,
+      method: 'POST',
+      body: JSON.stringify({
+        title,
+        description,
+        fromRef: { id: `refs/heads/${source}` },
+        toRef: { id: `refs/heads/${target}` }
+      })
+    });
+
+    if (autoMerge)
+      await this.prAutoMerge({
+        pullRequestId: pr.id,
+        mergeMode: autoMerge,
+        version: pr.version
+      });
+    return this.parsePr(pr).url;
+  }
+
+  async prAutoMerge({ pullRequestId, mergeMode, mergeMessage, version }) {
+    winston.warn(
+      'Auto-merge is unsupported by Bitbucket Server. Trying to merge immediately...'
+    );
+    const { projectPath } = this;
+
+    await this.request({
+      endpoint: `${projectPath}/pull-requests/${pullRequestId}/merge?version=${version}`,
+      method: 'POST',
+      body: JSON.stringify({
+        strategyId: mergeStrategies[mergeMode],
+        message: mergeMessage
+      })
+    });
+  }
+
+  async prCommentCreate(opts = {}) {
+    const { projectPath } = this;
+    const { report: text, prNumber } = opts;
+
+    const { id } = await this.request({
+      endpoint: `${projectPath}/pull-requests/${prNumber}/comments`,
+      method: 'POST',
+      body: JSON.stringify({ text })
+    });
+
+    return `${this.repoUrl}/pull-requests/${prNumber}/overview?commentId=${id}`;
+  }
+
+  async prCommentUpdate(opts = {}) {
+    const { projectPath } = this;
+    const { report: text, prNumber, id } = opts;
+
+    const endpoint = `${projectPath}/pull-requests/${prNumber}/comments/${id}`;
+    const { version } =
+      opts.version === undefined ? await this.request({ endpoint }) : opts;
+    await this.request({
+      endpoint,
+      method: 'PUT',
+      body: JSON.stringify({ text, version })
+    });
+
+    return `${this.repoUrl}/pull-requests/${prNumber}/overview?commentId=${id}`;
+  }
+
+  async prCommentDelete(opts = {}) {
+    const { projectPath } = this;
+    const { prNumber, id } = opts;
+
+    const endpoint = `${projectPath}/pull-requests/${prNumber}/comments/${id}`;
+    const { version } = await this.request({ endpoint });
+    await this.request({
+      endpoint: `${endpoint}?version=${version}`,
+      method: 'DELETE'
+    });
+  }
+
+  async prComments(opts = {}) {
+    const { projectPath } = this;
+    const { prNumber } = opts;
+
+    const activities = await this.paginatedRequest({
+      endpoint: `${projectPath}/pull-requests/${prNumber}/activities`
+    });
+    const commented = (activity) =>
+      activities.filter(
+        ({ action, commentAction }) =>
+          action === 'COMMENTED' && commentAction === activity
+      );
+    const deleted = commented('DELETED').map(({ comment: { id } }) => id);
+
+    // Activities come newest first, and still list deleted comments as added.
+    return commented('ADDED')
+      .filter(({ comment: { id } }) => !deleted.includes(id))
+      .reverse()
+      .map(({ comment: { id, text: body = '', version } }) => {
+        return { id, body, version };
+      });
+  }
+
+  async prs(opts = {}) {
+    const { projectPath } = this;
+    const { state = 'OPEN' } = opts;
+
+    const prs = await this.paginatedRequest({
+      endpoint: `${projectPath}/pull-requests?state=${state}`
+    });
+
+    return prs.map((pr) => this.parsePr(pr));
+  }
+
+  async pipelineRerun() {
+    throw new Error('Bitbucket Server does not support pipelineRerun!');
+  }
+
+  async pipelineJobs() {
+    winston.warn('Bitbucket Server does not support pipelineJobs!');
+
+    return [];
+  }
+
+  async updateGitConfig({ userName, userEmail, remote } = {}) {
+    const [user = 'token', password = this.token] =
+      basicCredentials(this.token) || [];
+
+    const repo = new URL(this.repo);
+    repo.password = password;
+    repo.username = user;
+
+    const command = `
+    git config user.name "${userName || this.userName}" &&
+    git config user.email "${userEmail || this.userEmail}" &&
+    git remote set-url ${remote} "${repo.toString()}"`;
+
+    return command;
+  }
+
+  get maxCommentLength() {
+    return 32768;
+  }
+
+  get workflowId() {}
+
+  get runId() {}
+
+  get sha() {}
+
+  get branch() {}
+
+  get userEmail() {}
+
+  get userName() {}
+
+  async paginatedRequest(opts = {}) {
+    const { endpoint } = opts;
+    const separator = endpoint.includes('?') ? '&' : '?';
+
+    const values = [];
+    let start = 0;
+    while (true) {
+      const {
+        values: pageValues,
+        isLastPage,
+        nextPageStart
+      } = await this.request({
+        ...opts,
+        endpoint: `${endpoint}${separator}start=${start}`
+      });
+      values.push(...pageValues);
+      if (isLastPage !== false) break;
+      start = nextPageStart;
+    }
+
+    return values;
+  }
+
+  async request(opts = {}) {
+    const { token } = this;
+    const { endpoint, method = 'GET', body, api = this.api } = opts;
+
+    if (!endpoint) throw new Error('Bitbucket Server API endpoint not found');
+
+    const credentials = basicCredentials(token);
+    const headers = {
+      Authorization: credentials ? `Basic ${token}` : `Bearer ${token}`,
+      Accept: 'application/json'
+    };
+    if (body) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${api}${endpoint}`, {
+      method,
+      headers,
+      body,
+      agent: new ProxyAgent()
+    });
+
+    const responseBody = (response.headers.get('Content-Type') || '').includes(
+      'json'
+    )
+      ? await response.json()
+      : await response.text();
+
+    if (!response.ok) {
+      // Errors are reported as `{"errors": [{"message": "Error message"}]}`.
+      const { errors: [{ message = '' } = {}] = [] } =
+        typeof responseBody === 'object' ? responseBody : {};
+      throw new Error(`${response.statusText} ${message}`.trim());
+    }
+
+    return responseBody;
+  }
+}
+
+module.exports = BitbucketServer;
@@ -0,0 +1,208 @@
+const http = require('http');
+
+const BitbucketServer = require('./bitbucket_server');
+
+const TOKEN = 'bitbucket-server-token';
+
+describe('Bitbucket Server driver against a mock API', () => {
+  let server;
+  let origin;
+  const requests = [];
+  const api = '/rest/api/1.0/projects/PROJ/repos/repo';
+  const pr = (id) => ({
+    id,
+    version: 0,
+    state: 'OPEN',
+    links: {
+      self: [{ href: `${origin}/projects/PROJ/repos/repo/pull-requests/${id}` }]
+    },
+    fromRef: { displayId: 'feature' },
+    toRef: { displayId: 'main' }
+  });
+
+  const routes = {
+    [`GET ${api}/commits/abc123/pull-requests`]: ({ start }) =>
+      start === '0'
+        ? { values: [pr(7)], isLastPage: false, nextPageStart: 1 }
+        : { values: [{ ...pr(6), state: 'MERGED' }], isLastPage: true },
+    [`POST ${api}/commits/abc123/comments`]: () => ({ id: 1, version: 0 }),
+    [`GET ${api}/pull-requests/7/activities`]: () => ({
+      values: [
+        { action: 'COMMENTED', commentAction: 'DELETED', comment: { id: 4 } },
+        {
+          action: 'COMMENTED',
+          commentAction: 'ADDED',
+          comment: { id: 4, text: 'deleted' }
+        },
+        {
+          action: 'COMMENTED',
+          commentAction: 'ADDED',
+          comment: { id: 3, text: 'newer report' }
+        },
+        { action: 'APPROVED' },
+        {
+          action: 'COMMENTED',
+          commentAction: 'ADDED',
+          comment: { id: 2, text: 'report' }
+        }
+      ],
+      isLastPage: true
+    }),
+    [`GET ${api}/pull-requests/7/comments/2`]: () => ({ id: 2, version: 3 }),
+    [`PUT ${api}/pull-requests/7/comments/2`]: ({ body }) => body,
+    [`DELETE ${api}/pull-requests/7/comments/2`]: () => ({}),
+    [`POST ${api}/pull-requests`]: () => pr(8),
+    [`POST ${api}/pull-requests/8/merge`]: ({ body }) => body,
+    'POST /rest/build-status/1.0/commits/abc123': () => ({})
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let data = '';
+      req.on('data', (chunk) => (data += chunk));
+      req.on('end', () => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        const body = data ? JSON.parse(data) : undefined;
+        requests.push({
+          method: req.method,
+          pathname,
+          version: searchParams.get('version'),
+          headers: req.headers,
+          body
+        });
+
+        const route = routes[`${req.method} ${pathname}`];
+        if (!route) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          return res.end(
+            JSON.stringify({ errors: [{ message: 'Resource not found' }] })
+          );
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(
+          JSON.stringify(route({ body, start: searchParams.get('start') }))
+        );
+      });
+    });
+    await new Promise((resolve) => server.listen(0, 'localhost', resolve));
+    origin = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => (requests.length = 0));
+
+  test('clone and browse URLs are parsed', () => {
+    const clone = new BitbucketServer({
+      repo: 'https://example.com/bitbucket/scm/proj/repo',
+      token: TOKEN
+    });
+    expect(clone.api).toBe('https://example.com/bitbucket/rest/api/1.0');
+    expect(clone.projectPath).toBe('/projects/PROJ/repos/repo');
+
+    const browse = new BitbucketServer({
+      repo: 'https://example.com/users/jdoe/repos/repo',
+      token: TOKEN
+    });
+    expect(browse.projectPath).toBe('/projects/~JDOE/repos/repo');
+    expect(browse.repoUrl).toBe('https://example.com/users/jdoe/repos/repo');
+  });
+
+  test('commitPrs follows pagination and filters by state', async () => {
+    const client = new BitbucketServer({
+      repo: `${origin}/scm/proj/repo`,
+      token: TOKEN
+    });
+
+    expect(await client.commitPrs({ commitSha: 'abc123' })).toEqual([
+      {
+        url: `${origin}/projects/PROJ/repos/repo/pull-requests/7`,
+        source: 'feature',
+        target: 'main'
+      }
+    ]);
+    expect(requests[0].headers.authorization).toBe(`Bearer ${TOKEN}`);
+  });
+
+  test('basic credentials are supported', async () => {
+    const token = Buffer.from('user:pass').toString('base64');
+    const client = new BitbucketServer({
+      repo: `${origin}/scm/proj/repo`,
+      token
+    });
+
+    await client.commentCreate({ commitSha: 'abc123', report: 'report' });
+    expect(requests[0].headers.authorization).toBe(`Basic ${token}`);
+  });
+
+  test('PR comments are listed oldest first without deleted ones', async () => {
+    const client = new BitbucketServer({
+      repo: `${origin}/scm/proj/repo`,
+      token: TOKEN
+    });
+
+    expect(await client.prComments({ prNumber: 7 })).toEqual([
+      { id: 2, body: 'report' },
+      { id: 3, body: 'newer report' }
+    ]);
+  });
+
+  test('PR comments are updated and deleted with their current version', async () => {
+    const client = new BitbucketServer({
+      repo: `${origin}/scm/proj/repo`,
+      token: TOKEN
+    });
+
+    await client.prCommentUpdate({ report: 'updated', prNumber: 7, id: 2 });
+    expect(requests.pop().body).toEqual({ text: 'updated', version: 3 });
+
+    await client.prCommentDelete({ prNumber: 7, id: 2 });
+    expect(requests.pop()).toMatchObject({
+      method: 'DELETE',
+      pathname: `${api}/pull-requests/7/comments/2`,
+      version: '3'
+    });
+  });
+
+  test('prCreate merges with the requested strategy', async () => {
+    const client = new BitbucketServer({
+      repo: `${origin}/scm/proj/repo`,
+      token: TOKEN
+    });
+
+    const url = await client.prCreate({
+      source: 'feature',
+      target: 'main',
+      title: 'title',
+      description: 'description',
+      autoMerge: 'squash'
+    });
+    expect(url).toBe(`${origin}/projects/PROJ/repos/repo/pull-requests/8`);
+    expect(requests.pop().body).toEqual({ strategyId: 'squash' });
+  });
+
+  test('checkCreate publishes a build status', async () => {
+    const client = new BitbucketServer({
+      repo: `${origin}/scm/proj/repo`,
+      token: TOKEN
+    });
+
+    await client.checkCreate({ headSha: 'abc123', report: 'Report' });
+    expect(requests.pop().body).toEqual({
+      state: 'SUCCESSFUL',
+      key: 'CML Report',
+      name: 'CML Report',
+      url: `${origin}/projects/PROJ/repos/repo/commits/abc123`,
+      description: 'Report'
+    });
+  });
+
+  test('API errors are surfaced', async () => {
+    const client = new BitbucketServer({
+      repo: `${origin}/scm/proj/repo`,
+      token: TOKEN
+    });
+    await expect(client.prs()).rejects.toThrow('Not Found Resource not found');
+  });
+});
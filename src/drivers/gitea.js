@@ -0,0 +1,548 @@
+const fetch = require('node-fetch');
+const { URL } = require('url');
+const { spawn } = require('child_process');
+const { resolve } = require('path');
+const fs = require('fs').promises;
+const fse = require('fs-extra');
+const ProxyAgent = require('proxy-agent');
+const winston = require('winston');
+
+const github = require('@actions/github');
+
+const { download, exec, sleep } = require('../utils');
+
+const {
+  GITHUB_EVENT_NAME,
+  GITHUB_HEAD_REF,
+  GITHUB_REF,
+  GITHUB_RUN_ID,
+  GITHUB_SHA,
+  GITHUB_WORKFLOW
+} = process.env;
+
+const API_VER = 'v1';
+const PAGE_LIMIT = 50;
+const ACT_RUNNER_RELEASES =
+  'https://gitea.com/api/v1/repos/gitea/act_runner/releases/latest';
+// act_runner release names for the Node.js architectures it is built for.
+const ACT_RUNNER_ARCHS = { x64: 'amd64', arm64: 'arm64' };
+
+const branchName = (branch) => {
+  if (!branch) return;
+
+  return branch.replace(/refs\/(head|tag)s\//, '');
+};
+
+const checkStates = {
+  success: 'success',
+  neutral: 'success',
+  skipped: 'success',
+  failure: 'failure',
+  cancelled: 'error',
+  timed_out: 'error'
+};
+
+class Gitea {
+  constructor(opts = {}) {
+    const { repo, token } = opts;
+
+    if (!repo) throw new Error('repo not found');
+    if (!token) throw new Error('token not found');
+
+    this.repo = repo;
+    this.token = token;
+
+    const { origin, pathname } = new URL(repo);
+    const components = pathname.split('/').filter(Boolean);
+    const [owner, name] = components.splice(-2);
+    this.owner = owner;
+    this.name = name;
+    this.api = [origin, ...components, 'api', API_VER].join('/');
+  }
+
+  ownerRepo() {
+    const { owner, name: repo } = this;
+    return { owner, repo };
+  }
+
+  get repoPath() {
+    const { owner, name } = this;
+    return `/repos/${owner}/${name}`;
+  }
+
+  get runnersPath() {
+    const { owner, name } = this;
+    return name
+      ? `${this.repoPath}/actions/runners`
+      : `/orgs/${owner}/actions/runners`;
+  }
+
+  async user({ name: username } = {}) {
+    const {
+      id,
+      login,
+      full_name: name
+    } = await this.request({ endpoint: `/users/${username}` });
+
+    return { id, login, name };
+  }
+
+  async commentCreate() {
+    throw new Error('Gitea does not support commit comments!');
+  }
+
+  async commentUpdate() {
+    throw new Error('Gitea does not support commit comments!');
+  }
+
+  async commentDelete() {
+    throw new Error('Gitea does not support commit comments!');
+  }
+
+  async commitComments() {
+    throw new Error('Gitea does not support commit comments!');
+  }
+
+  async commitPrs(opts = {}) {
+    const { commitSha, state = 'open' } = opts;
+
+    const prs = await this.paginatedRequest({
+      endpoint: `${this.repoPath}/pulls?state=${state}`
+    });
+
+    return prs
+      .filter(({ head: { sha } }) => sha === commitSha)
+      .map((pr) => this.parsePr(pr));
+  }
+
+  async checkCreate(opts = {}) {
+    const {
+      report,
+      headSha,
+      title = 'CML Report',
+      conclusion = 'success',
+      status = 'completed'
+    } = opts;
+
+    const state = status === 'completed' ? checkStates[conclusion] : 'pending';
+    const [description] = (report || title).split('\n');
+
+    return await this.request({
+      endpoint: `${this.repoPath}/statuses/${headSha}`,
+      method: 'POST',
+      body: JSON.stringify({
+        context: title,
+        description: description.substring(0, 255),
+        state
+      })
+    });
+  }
+
+  // Commit statuses are replaced by posting them again with the same title.
+  async checkUpdate(opts = {}) {
+    return await this.checkCreate(opts);
+  }
+
+  async upload() {
+    throw new Error('Gitea does not support publish!');
+  }
+
+  async runnerToken() {
+    const { token } = await this.request({
+      endpoint: `${this.runnersPath}/registration-token`
+    });
+
+    return token;
+  }
+
+  async registerRunner() {
+    throw new Error('Gitea does not support registerRunner!');
+  }
+
+  async unregisterRunner(opts = {}) {
+    const { runnerId } = opts;
+
+    await this.request({
+      endpoint: `${this.runnersPath}/${runnerId}`,
+      method: 'DELETE',
+      raw: true
+    });
+  }
+
+  async startRunner(opts = {}) {
+    const { workdir, single, name, labels } = opts;
+
+    try {
+      const bin = resolve(workdir, 'act_runner');
+      if (!(await fse.pathExists(bin))) {
+        const platform = process.platform === 'darwin' ? 'darwin' : 'linux';
+        const arch = ACT_RUNNER_ARCHS[process.arch];
+        if (!arch)
+          throw new Error(`act_runner is not built for ${process.arch}`);
+
+        const { tag_name: ver } = await (
+          await fetch(ACT_RUNNER_RELEASES, { agent: new ProxyAgent() })
+        ).json();
+        const url = `https://gitea.com/gitea/act_runner/releases/download/${ver}/act_runner-${ver.substring(
+          1
+        )}-${platform}-${arch}`;
+        await download({ url, path: bin });
+        await fs.chmod(bin, '777');
+      }
+
+      const { origin } = new URL(this.repo);
+      await fs.rm(resolve(workdir, '.runner'), { force: true });
+      await exec(
+        `cd "${workdir}" && ${bin} register --no-interactive --instance "${origin}" --token "${await this.runnerToken()}" --name "${name}" --labels "${labels}"`
+      );
+
+      return spawn(`${bin} daemon${single ? ' --once' : ''}`, {
+        cwd: workdir,
+        shell: true
+      });
+    } catch (err) {
+      throw new Error(`Failed preparing Gitea runner: ${err.message}`);
+    }
+  }
+
+  async runners() {
+    const runners = [];
+    for (let page = 1; ; page++) {
+      const { runners: values = [] } = await this.request({
+        endpoint: `${this.runnersPath}?page=${page}&limit=${PAGE_LIMIT}`
+      });
+      runners.push(...values);
+      if (values.length < PAGE_LIMIT) break;
+    }
+
+    return runners.map((runner) => this.parseRunner(runner));
+  }
+
+  async runnerById(opts = {}) {
+    const { id } = opts;
+
+    const runner = await this.request({
+      endpoint: `${this.runnersPath}/${id}`
+    });
+
+    return this.parseRunner(runner);
+  }
+
+  async queuedJobs() {
+    throw new Error('Gitea does not support queuedJobs!');
+  }
+
+  async runnerJob({ runnerId, status = 'queued' } = {}) {
+    if (status === 'running') status = 'in_progress';
+
+    const { jobs = [] } = await this.request({
+      endpoint: `${this.repoPath}/actions/jobs?status=${status}`
+    });
+
+    const job = jobs.find((job) => job.runner_id === runnerId);
+    if (!job) return;
+
+    const { id, started_at: date, run_id: runId } = job;
+    return { id, date, runId, runnerId };
+  }
+
+  runnerLogPatterns() {
+    return {
+      ready: /declare successfully/,
+      job_started: /task \d+ repo is/,
+      job_ended: /Job (succeeded|failed|cancelled)/,
+      job_ended_succeded: /Job succeeded/,
+      job: /task (\d+) repo is/
+    };
+  }
+
+  parseRunner(runner) {
+    const { id, name, busy, status, labels = [] } = runner;
+    return {
+      id,
+      name,
+      labels: labels.map((label) => label.name || label),
+      online: status === 'online' || status === 'idle' || status === 'active',
+      busy: Boolean(busy) || status === 'active'
+    };
+  }
+
+  parsePr(pr) {
+    const {
+      html_url: url,
+      head: { ref: source },
+      base: { ref: target }
+    } = pr;
+    return {
+      url,
+      source: branchName(source),
+      target: branchName(target)
+    };
+  }
+
+  async prCreate(opts = {}) {
+    const {
+      source: head,
+      target: base,
+      title,
+      description: body,
+      autoMerge
+    } = opts;
+
+    const { html_url: htmlUrl, number } = await this.request({
+      endpoint: `${this.repoPath}/pulls`,
+      method: 'POST',
+      body: JSON.stringify({ head, base, title, body })
+    });
+
+    if (autoMerge)
+      await this.prAutoMerge({ pullRequestId: number, mergeMode: autoMerge });
+    return htmlUrl;
+  }
+
+  /**
+   * @param {{ pullRequestId: number, mergeMode: string, mergeMessage: string }} param0
+   * @returns {Promise<void>}
+   */
+  async prAutoMerge({ pullRequestId, mergeMode, mergeMessage }) {
+    const endpoint = `${this.repoPath}/pulls/${pullRequestId}/merge`;
+    const [title, message] = mergeMessage
+      ? mergeMessage.split(/\n\n(.*)/s)
+      : [];
+    const body = {
+      Do: mergeMode,
+      MergeTitleField: title,
+      MergeMessageField: message,
+      merge_when_checks_succeed: true
+    };
+
+    try {
+      await this.request({
+        endpoint,
+        method: 'POST',
+        body: JSON.stringify(body),
+        raw: true
+      });
+    } catch ({ message }) {
+      winston.warn(
+        `Failed to enable auto-merge: ${message}. Trying to merge immediately...`
+      );
+      await this.request({
+        endpoint,
+        method: 'POST',
+        body: JSON.stringify({ ...body, merge_when_checks_succeed: false }),
+        raw: true
+      });
+    }
+  }
+
+  async prCommentCreate(opts = {}) {
+    const { report: body, prNumber } = opts;
+
+    const { html_url: htmlUrl } = await this.request({
+      endpoint: `${this.repoPath}/issues/${prNumber}/comments`,
+      method: 'POST',
+      body: JSON.stringify({ body })
+    });
+
+    return htmlUrl;
+  }
+
+  async prCommentUpdate(opts = {}) {
+    const { report: body, id } = opts;
+
+    const { html_url: htmlUrl } = await this.request({
+      endpoint: `${this.repoPath}/issues/comments/${id}`,
+      method: 'PATCH',
+      body: JSON.stringify({ body })
+    });
+
+    return htmlUrl;
+  }
+
+  async prCommentDelete(opts = {}) {
+    const { id } = opts;
+
+    await this.request({
+      endpoint: `${this.repoPath}/issues/comments/${id}`,
+      method: 'DELETE',
+      raw: true
+    });
+  }
+
+  async prComments(opts = {}) {
+    const { prNumber } = opts;
+
+    const comments = await this.paginatedRequest({
+      endpoint: `${this.repoPath}/issues/${prNumber}/comments`
+    });
+
+    return comments.map(({ id, body }) => {
+      return { id, body };
+    });
+  }
+
+  async prs(opts = {}) {
+    const { state = 'open' } = opts;
+
+    const prs = await this.paginatedRequest({
+      endpoint: `${this.repoPath}/pulls?state=${state}`
+    });
+
+    return prs.map((pr) => this.parsePr(pr));
+  }
+
+  async pipelineRerun({ id = GITHUB_RUN_ID, jobId } = {}) {
+    const endpoint = `${this.repoPath}/actions`;
+
+    if (!id && jobId) {
+      ({ run_id: id } = await this.request({
+        endpoint: `${endpoint}/jobs/${jobId}`
+      }));
+    }
+
+    let { status } = await this.request({ endpoint: `${endpoint}/runs/${id}` });
+
+    if (status === 'in_progress') {
+      await this.request({
+        endpoint: `${endpoint}/runs/${id}/cancel`,
+        method: 'POST',
+        raw: true
+      });
+
+      while (status === 'in_progress') {
+        ({ status } = await this.request({
+          endpoint: `${endpoint}/runs/${id}`
+        }));
+        await sleep(1);
+      }
+    }
+
+    await this.request({
+      endpoint: `${endpoint}/runs/${id}/rerun`,
+      method: 'POST',
+      raw: true
+    });
+  }
+
+  async pipelineJobs(opts = {}) {
+    const { jobs: runnerJobs } = opts;
+
+    const jobs = await Promise.all(
+      runnerJobs.map(
+        async (job) =>
+          await this.request({
+            endpoint: `${this.repoPath}/actions/jobs/${job.id}`
+          })
+      )
+    );
+
+    return jobs.map((job) => {
+      const { id, started_at: date, run_id: runId, status } = job;
+      return { id, date, runId, status };
+    });
+  }
+
+  async updateGitConfig({ userName, userEmail, remote } = {}) {
+    const repo = new URL(this.repo);
+    repo.password = this.token;
+    repo.username = 'token';
+
+    const command = `
+    git config user.name "${userName || this.userName}" &&
+    git config user.email "${userEmail || this.userEmail}" &&
+    git remote set-url ${remote} "${repo.toString()}${
+      repo.toString().endsWith('.git') ? '' : '.git'
+    }"`;
+
+    return command;
+  }
+
+  get maxCommentLength() {
+    return 65535;
+  }
+
+  // Gitea allows data URIs in the source of images.
+  get inlineImages() {
+    return true;
+  }
+
+  get workflowId() {
+    return GITHUB_WORKFLOW;
+  }
+
+  get runId() {
+    return GITHUB_RUN_ID;
+  }
+
+  get sha() {
+    if (GITHUB_EVENT_NAME === 'pull_request')
+      return github.context.payload.pull_request.head.sha;
+
+    return GITHUB_SHA;
+  }
+
+  get branch() {
+    return branchName(GITHUB_HEAD_REF || GITHUB_REF);
+  }
+
+  get userEmail() {
+    return 'actions@gitea.io';
+  }
+
+  get userName() {
+    return 'Gitea Actions';
+  }
+
+  async paginatedRequest(opts = {}) {
+    const { endpoint } = opts;
+    const separator = endpoint.includes('?') ? '&' : '?';
+
+    const values = [];
+    for (let page = 1; ; page++) {
+      const pageValues = await this.request({
+        ...opts,
+        endpoint: `${endpoint}${separator}page=${page}&limit=${PAGE_LIMIT}`
+      });
+      values.push(...pageValues);
+      if (pageValues.length < PAGE_LIMIT) break;
+    }
+
+    return values;
+  }
+
+  async request(opts = {}) {
+    const { token } = this;
+    const { endpoint, method = 'GET', body, raw } = opts;
+    let { url } = opts;
+
+    if (endpoint) url = `${this.api}${endpoint}`;
+    if (!url) throw new Error('Gitea API endpoint not found');
+
+    const headers = {
+      Authorization: `token ${token}`,
+      Accept: 'application/json'
+    };
+    if (body) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(url, {
+      method,
+      headers,
+      body,
+      agent: new ProxyAgent()
+    });
+
+    if (!response.ok) {
+      let message = '';
+      try {
+        ({ message = '' } = await response.json());
+      } catch (err) {}
+      throw new Error(`${response.statusText} ${message}`.trim());
+    }
+    if (raw) return response;
+
+    return await response.json();
+  }
+}
+
+module.exports = Gitea;
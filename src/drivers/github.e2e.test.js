@@ -28,9 +28,11 @@ describe('Non Enviromental tests', () => {
   });
 
   test('Publish', async () => {
-    await expect(client.upload()).rejects.toThrow(
-      'Github does not support publish!'
-    );
+    const path = `${__dirname}/../../assets/logo.png`;
+    const { uri, mime } = await client.upload({ path });
+
+    expect(mime).toBe('image/png');
+    expect(uri).toMatch(/\/cml-assets\/[0-9a-f]{64}\.png$/);
   });
 
   test('Runner token', async () => {
@@ -11,10 +11,16 @@ const { throttling } = require('@octokit/plugin-throttling');
 const tar = require('tar');
 const ProxyAgent = require('proxy-agent');
 
-const { download, exec, sleep } = require('../utils');
+const { download, exec, fetchAssetData, sleep } = require('../utils');
 const winston = require('winston');
 
 const CHECK_TITLE = 'CML Report';
+// The Checks API takes at most 50 annotations per request.
+const CHECK_ANNOTATIONS = 50;
+// Orphan branch where native uploads are committed, and how many times to
+// retry when another job moves it in the meantime.
+const ASSETS_BRANCH = 'cml-assets';
+const ASSETS_RETRIES = 5;
 process.env.RUNNER_ALLOW_RUNASROOT = 1;
 
 const {
@@ -50,6 +56,38 @@ const ownerRepo = (opts) => {
   return { owner, repo };
 };
 
+const checkAnnotation = (annotation) => {
+  const { path, startLine, endLine, startColumn, endColumn } = annotation;
+  const { level, title, message, details } = annotation;
+
+  return {
+    path,
+    start_line: startLine,
+    end_line: endLine,
+    // Columns are only accepted within a single line.
+    ...(startLine === endLine && {
+      start_column: startColumn,
+      end_column: endColumn
+    }),
+    annotation_level: level,
+    title,
+    message,
+    raw_details: details
+  };
+};
+
+// Annotations in batches the size of a request; always at least one batch.
+const annotationBatches = (annotations) => {
+  const batches = [[]];
+  for (const annotation of annotations) {
+    if (batches[batches.length - 1].length === CHECK_ANNOTATIONS)
+      batches.push([]);
+    batches[batches.length - 1].push(checkAnnotation(annotation));
+  }
+
+  return batches;
+};
+
 const octokit = (token, repo) => {
   if (!token) throw new Error('token not found');
 
@@ -127,6 +165,30 @@ class Github {
     ).data.html_url;
   }
 
+  async commentDelete(opts = {}) {
+    const { id } = opts;
+    const { repos } = octokit(this.token, this.repo);
+
+    await repos.deleteCommitComment({
+      ...ownerRepo({ uri: this.repo }),
+      comment_id: id
+    });
+  }
+
+  async commentMinimize(opts = {}) {
+    const { id } = opts;
+    const { repos } = octokit(this.token, this.repo);
+
+    const {
+      data: { node_id: nodeId }
+    } = await repos.getCommitComment({
+      ...ownerRepo({ uri: this.repo }),
+      comment_id: id
+    });
+
+    await this.minimize({ nodeId });
+  }
+
   async commitComments(opts = {}) {
     const { commitSha } = opts;
     const { repos, paginate } = octokit(this.token, this.repo);
@@ -173,7 +235,11 @@ class Github {
       started_at: startedAt = new Date(),
       completed_at: completedAt = new Date(),
       conclusion = 'success',
-      status = 'completed'
+      status = 'completed',
+      annotations = [],
+      detailsUrl,
+      externalId,
+      text
     } = opts;
 
     const warning =
@@ -185,21 +251,174 @@ class Github {
         `Your token is different than the GITHUB_TOKEN, this command does not work with PAT. ${warning}`
       );
 
+    const [first, ...rest] = annotationBatches(annotations);
+    const { checks } = octokit(this.token, this.repo);
+    const output = { title, summary: report, text };
+
+    // Checks still running have neither a conclusion nor a completion time.
+    const completed = status === 'completed';
+
     const name = title;
-    return await octokit(this.token, this.repo).checks.create({
+    const check = await checks.create({
       ...ownerRepo({ uri: this.repo }),
       head_sha: headSha,
       started_at: startedAt,
-      completed_at: completedAt,
-      conclusion,
+      completed_at: completed ? completedAt : undefined,
+      conclusion: completed ? conclusion : undefined,
       status,
       name,
-      output: { title, summary: report }
+      details_url: detailsUrl,
+      external_id: externalId,
+      output: { ...output, annotations: first }
     });
+
+    // Further annotations are appended to the ones already sent.
+    for (const annotations of rest)
+      await checks.update({
+        ...ownerRepo({ uri: this.repo }),
+        check_run_id: check.data.id,
+        output: { ...output, annotations }
+      });
+
+    return check;
   }
 
-  async upload() {
-    throw new Error('Github does not support publish!');
+  async checkUpdate(opts = {}) {
+    const {
+      id,
+      report,
+      title,
+      conclusion,
+      status = conclusion && 'completed',
+      annotations = [],
+      detailsUrl,
+      externalId,
+      text
+    } = opts;
+
+    const { checks } = octokit(this.token, this.repo);
+    const checkRun = { ...ownerRepo({ uri: this.repo }), check_run_id: id };
+
+    // The output of a check run can only be changed as a whole.
+    let output;
+    if (report !== undefined || text !== undefined || annotations.length) {
+      let current = {};
+      if (report === undefined || !title)
+        ({
+          data: { output: current }
+        } = await checks.get(checkRun));
+
+      output = {
+        title: title || current.title,
+        summary: report === undefined ? current.summary : report,
+        text
+      };
+    }
+
+    const [first, ...rest] = annotationBatches(annotations);
+    const completed = status === 'completed';
+    const check = await checks.update({
+      ...checkRun,
+      name: title,
+      status,
+      conclusion: completed ? conclusion || 'success' : undefined,
+      completed_at: completed ? new Date() : undefined,
+      details_url: detailsUrl,
+      external_id: externalId,
+      output: output && { ...output, annotations: first }
+    });
+
+    for (const annotations of rest)
+      await checks.update({ ...checkRun, output: { ...output, annotations } });
+
+    return check;
+  }
+
+  async upload(opts = {}) {
+    const { mime, size, buffer, name } = await fetchAssetData(opts);
+    const { owner, repo } = ownerRepo({ uri: this.repo });
+    const { git, repos } = octokit(this.token, this.repo);
+    const { host } = new URL(this.repo);
+
+    // Unlike raw.githubusercontent.com, these URLs render for whoever can read
+    // the repository, including private ones.
+    const uri = `https://${host}/${owner}/${repo}/raw/${ASSETS_BRANCH}/${name}`;
+
+    let blob;
+    for (let attempt = 1; ; attempt++) {
+      let parent;
+      try {
+        ({
+          data: {
+            object: { sha: parent }
+          }
+        } = await git.getRef({ owner, repo, ref: `heads/${ASSETS_BRANCH}` }));
+      } catch (err) {
+        if (err.status !== 404) throw err;
+      }
+
+      let baseTree;
+      if (parent) {
+        // Assets are named after their contents: if the name is there, so
+        // is the asset.
+        try {
+          await repos.getContent({ owner, repo, path: name, ref: parent });
+          return { uri, mime, size };
+        } catch (err) {
+          if (err.status !== 404) throw err;
+        }
+
+        ({
+          data: {
+            tree: { sha: baseTree }
+          }
+        } = await git.getCommit({ owner, repo, commit_sha: parent }));
+      }
+
+      if (!blob)
+        ({ data: blob } = await git.createBlob({
+          owner,
+          repo,
+          content: buffer.toString('base64'),
+          encoding: 'base64'
+        }));
+      const { data: tree } = await git.createTree({
+        owner,
+        repo,
+        base_tree: baseTree,
+        tree: [{ path: name, mode: '100644', type: 'blob', sha: blob.sha }]
+      });
+      const { data: commit } = await git.createCommit({
+        owner,
+        repo,
+        message: `Publish ${name}`,
+        tree: tree.sha,
+        parents: parent ? [parent] : []
+      });
+
+      try {
+        if (parent)
+          await git.updateRef({
+            owner,
+            repo,
+            ref: `heads/${ASSETS_BRANCH}`,
+            sha: commit.sha
+          });
+        else
+          await git.createRef({
+            owner,
+            repo,
+            ref: `refs/heads/${ASSETS_BRANCH}`,
+            sha: commit.sha
+          });
+
+        return { uri, mime, size };
+      } catch (err) {
+        // Not a fast-forward, or already created: another job got there first.
+        if (err.status !== 422 || attempt >= ASSETS_RETRIES) throw err;
+        winston.debug(`${ASSETS_BRANCH} moved, publishing ${name} again`);
+      }
+    }
   }
 
   async runnerToken() {
@@ -336,6 +555,52 @@ class Github {
     return this.parseRunner(runner);
   }
 
+  // Queued jobs that a self-hosted runner with the given labels could pick.
+  async queuedJobs(opts = {}) {
+    const { labels = '' } = opts;
+    const { owner, repo } = ownerRepo({ uri: this.repo });
+    const { actions, paginate } = octokit(this.token, this.repo);
+
+    if (typeof repo === 'undefined')
+      throw new Error('Queued jobs are only listed for repositories');
+
+    const accepted = ['self-hosted', 'linux', 'x64', ...labels.split(',')].map(
+      (label) => label.toLowerCase()
+    );
+    // Runs in progress can still have jobs waiting for a runner, like the ones
+    // needing others to finish first.
+    const runs = await Promise.all(
+      ['queued', 'in_progress'].map((status) =>
+        paginate(actions.listWorkflowRunsForRepo, {
+          owner,
+          repo,
+          status,
+          per_page: 100
+        })
+      )
+    );
+    const jobs = await Promise.all(
+      [].concat(...runs).map(({ id }) =>
+        paginate(actions.listJobsForWorkflowRun, {
+          owner,
+          repo,
+          run_id: id,
+          per_page: 100
+        })
+      )
+    );
+
+    return []
+      .concat(...jobs)
+      .filter(
+        ({ status, labels }) =>
+          status === 'queued' &&
+          labels.length &&
+          labels.every((label) => accepted.includes(label.toLowerCase()))
+      )
+      .map(({ id, name, labels }) => ({ id, name, labels }));
+  }
+
   async runnerJob({ runnerId, status = 'queued' } = {}) {
     const { owner, repo } = ownerRepo({ uri: this.repo });
     const octokitClient = octokit(this.token, this.repo);
@@ -578,12 +843,60 @@ class Github {
     return htmlUrl;
   }
 
+  async prCommentDelete(opts = {}) {
+    const { id } = opts;
+    const { owner, repo } = ownerRepo({ uri: this.repo });
+    const { issues } = octokit(this.token, this.repo);
+
+    await issues.deleteComment({
+      owner,
+      repo,
+      comment_id: id
+    });
+  }
+
+  async prCommentMinimize(opts = {}) {
+    const { id } = opts;
+    const { owner, repo } = ownerRepo({ uri: this.repo });
+    const { issues } = octokit(this.token, this.repo);
+
+    const {
+      data: { node_id: nodeId }
+    } = await issues.getComment({
+      owner,
+      repo,
+      comment_id: id
+    });
+
+    await this.minimize({ nodeId });
+  }
+
+  async minimize({ nodeId, classifier = 'OUTDATED' }) {
+    const graphql = withCustomRequest(octokit(this.token, this.repo).request);
+
+    await graphql(
+      `
+        mutation minimize(
+          $subjectId: ID!
+          $classifier: ReportedContentClassifiers!
+        ) {
+          minimizeComment(
+            input: { subjectId: $subjectId, classifier: $classifier }
+          ) {
+            clientMutationId
+          }
+        }
+      `,
+      { subjectId: nodeId, classifier }
+    );
+  }
+
   async prComments(opts = {}) {
     const { prNumber } = opts;
     const { owner, repo } = ownerRepo({ uri: this.repo });
-    const { issues } = octokit(this.token, this.repo);
+    const { issues, paginate } = octokit(this.token, this.repo);
 
-    const { data: comments } = await issues.listComments({
+    const comments = await paginate(issues.listComments, {
       owner,
       repo,
       issue_number: prNumber
@@ -706,6 +1019,10 @@ class Github {
     return command;
   }
 
+  get maxCommentLength() {
+    return 65536;
+  }
+
   get workflowId() {
     return GITHUB_WORKFLOW;
   }
@@ -0,0 +1,120 @@
+const { join } = require('path');
+
+const mockClient = {};
+jest.mock('@octokit/rest', () => ({
+  Octokit: { plugin: () => jest.fn(() => mockClient) }
+}));
+
+const Github = require('./github');
+
+const error = (status) => Object.assign(new Error(`${status}`), { status });
+
+describe('Github driver with a mock client', () => {
+  const path = join(__dirname, '../../assets/logo.png');
+  const client = new Github({
+    repo: 'https://github.com/owner/repo',
+    token: 'token'
+  });
+
+  beforeEach(() => {
+    mockClient.repos = { getContent: jest.fn() };
+    mockClient.git = {
+      getRef: jest.fn(),
+      getCommit: jest.fn(async () => ({ data: { tree: { sha: 'tree0' } } })),
+      createBlob: jest.fn(async () => ({ data: { sha: 'blob' } })),
+      createTree: jest.fn(async () => ({ data: { sha: 'tree' } })),
+      createCommit: jest.fn(async () => ({ data: { sha: 'commit' } })),
+      createRef: jest.fn(),
+      updateRef: jest.fn()
+    };
+  });
+
+  test('upload creates the orphan assets branch', async () => {
+    const { git } = mockClient;
+    git.getRef.mockRejectedValue(error(404));
+
+    const { uri, mime } = await client.upload({ path });
+    expect(mime).toBe('image/png');
+    expect(uri).toMatch(
+      /^https:\/\/github\.com\/owner\/repo\/raw\/cml-assets\/[0-9a-f]{64}\.png$/
+    );
+
+    const name = uri.split('/').pop();
+    expect(git.createTree.mock.calls[0][0]).toEqual({
+      owner: 'owner',
+      repo: 'repo',
+      base_tree: undefined,
+      tree: [{ path: name, mode: '100644', type: 'blob', sha: 'blob' }]
+    });
+    expect(git.createCommit.mock.calls[0][0].parents).toEqual([]);
+    expect(git.createRef.mock.calls[0][0]).toMatchObject({
+      ref: 'refs/heads/cml-assets',
+      sha: 'commit'
+    });
+  });
+
+  test('upload skips assets already published', async () => {
+    const { git, repos } = mockClient;
+    git.getRef.mockResolvedValue({ data: { object: { sha: 'head' } } });
+    repos.getContent.mockResolvedValue({ data: {} });
+
+    const { uri } = await client.upload({ path });
+    const name = repos.getContent.mock.calls[0][0].path;
+    expect(uri).toBe(`https://github.com/owner/repo/raw/cml-assets/${name}`);
+    expect(repos.getContent.mock.calls[0][0].ref).toBe('head');
+    expect(git.createBlob).not.toHaveBeenCalled();
+  });
+
+  test('upload retries when the branch moved', async () => {
+    const { git, repos } = mockClient;
+    git.getRef
+      .mockResolvedValueOnce({ data: { object: { sha: 'head' } } })
+      .mockResolvedValueOnce({ data: { object: { sha: 'moved' } } });
+    repos.getContent.mockRejectedValue(error(404));
+    git.updateRef.mockRejectedValueOnce(error(422));
+
+    const { uri } = await client.upload({ path });
+    const [{ path: name }] = git.createTree.mock.calls[0][0].tree;
+    expect(uri).toBe(`https://github.com/owner/repo/raw/cml-assets/${name}`);
+    expect(git.createBlob).toHaveBeenCalledTimes(1);
+    expect(git.createCommit.mock.calls.map(([{ parents }]) => parents)).toEqual(
+      [['head'], ['moved']]
+    );
+    expect(git.updateRef).toHaveBeenCalledTimes(2);
+  });
+
+  test('GitHub Enterprise assets are served by the instance', async () => {
+    mockClient.git.getRef.mockRejectedValue(error(404));
+    const enterprise = new Github({
+      repo: 'https://github.example.com/owner/repo',
+      token: 'token'
+    });
+
+    const { uri } = await enterprise.upload({ path });
+    expect(uri).toMatch(
+      /^https:\/\/github\.example\.com\/owner\/repo\/raw\/cml-assets\//
+    );
+  });
+
+  test('queued jobs are listed from runs queued or in progress', async () => {
+    const runs = { queued: [{ id: 1 }], in_progress: [{ id: 2 }] };
+    const jobs = {
+      1: [{ id: 10, name: 'train', status: 'queued', labels: ['cml'] }],
+      2: [
+        { id: 20, name: 'test', status: 'completed', labels: ['cml'] },
+        { id: 21, name: 'deploy', status: 'queued', labels: ['cml'] },
+        { id: 22, name: 'build', status: 'queued', labels: ['gpu'] }
+      ]
+    };
+    mockClient.actions = {
+      listWorkflowRunsForRepo: ({ status }) => runs[status],
+      listJobsForWorkflowRun: ({ run_id: id }) => jobs[id]
+    };
+    mockClient.paginate = jest.fn(async (list, params) => list(params));
+
+    expect(await client.queuedJobs({ labels: 'cml' })).toEqual([
+      { id: 10, name: 'train', labels: ['cml'] },
+      { id: 21, name: 'deploy', labels: ['cml'] }
+    ]);
+  });
+});
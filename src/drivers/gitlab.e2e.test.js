@@ -26,9 +26,14 @@ describe('Non Enviromental tests', () => {
   });
 
   test('Check', async () => {
-    await expect(client.checkCreate()).rejects.toThrow(
-      'Gitlab does not support check!'
-    );
+    const { name, status } = await client.checkCreate({
+      headSha: SHA,
+      report: '## Test check',
+      title: 'CML e2e'
+    });
+
+    expect(name).toBe('CML e2e');
+    expect(status).toBe('success');
   });
 
   test('Publish', async () => {
@@ -14,6 +14,17 @@ const { fetchUploadData, download, gpuPresent } = require('../utils');
 const { CI_JOB_ID, CI_PIPELINE_ID, IN_DOCKER } = process.env;
 
 const API_VER = 'v4';
+const PAGE_LIMIT = 100;
+
+const statusStates = {
+  success: 'success',
+  neutral: 'success',
+  skipped: 'skipped',
+  failure: 'failed',
+  cancelled: 'canceled',
+  timed_out: 'failed'
+};
+
 class Gitlab {
   constructor(opts = {}) {
     const { repo, token } = opts;
@@ -83,6 +94,10 @@ class Gitlab {
     throw new Error('GitLab does not support comment updates!');
   }
 
+  async commentDelete(opts = {}) {
+    throw new Error('GitLab does not support comment deletion!');
+  }
+
   async commitComments(opts = {}) {
     const { commitSha } = opts;
 
@@ -120,8 +135,40 @@ class Gitlab {
       });
   }
 
-  async checkCreate() {
-    throw new Error('Gitlab does not support check!');
+  async checkCreate(opts = {}) {
+    const {
+      report,
+      headSha,
+      title = 'CML Report',
+      conclusion = 'success',
+      status = 'completed',
+      annotations = [],
+      detailsUrl
+    } = opts;
+
+    if (annotations.length)
+      winston.warn('Gitlab does not support check annotations!');
+
+    const projectPath = await this.projectPath();
+    const endpoint = `/projects/${projectPath}/statuses/${headSha}`;
+    const [description] = (report || title).split('\n');
+    const body = new URLSearchParams();
+    body.append('name', title);
+    body.append(
+      'state',
+      { queued: 'pending', in_progress: 'running' }[status] ||
+        statusStates[conclusion]
+    );
+    body.append('description', description.substring(0, 255));
+    if (detailsUrl) body.append('target_url', detailsUrl);
+    if (CI_PIPELINE_ID) body.append('pipeline_id', CI_PIPELINE_ID);
+
+    return await this.request({ endpoint, method: 'POST', body });
+  }
+
+  // Commit statuses are replaced by posting them again with the same name.
+  async checkUpdate(opts = {}) {
+    return await this.checkCreate(opts);
   }
 
   async upload(opts = {}) {
@@ -260,6 +307,25 @@ class Gitlab {
     };
   }
 
+  // Pending jobs whose tags are all among the given labels. Untagged jobs are
+  // left to shared runners, even though CML runners would also take them.
+  async queuedJobs(opts = {}) {
+    const { labels = '' } = opts;
+    const projectPath = await this.projectPath();
+    const tags = labels.split(',');
+
+    const jobs = await this.request({
+      endpoint: `/projects/${projectPath}/jobs?scope[]=pending&per_page=100`
+    });
+
+    return jobs
+      .filter(
+        ({ tag_list: tagList }) =>
+          tagList.length && tagList.every((tag) => tags.includes(tag))
+      )
+      .map(({ id, name, tag_list: labels }) => ({ id, name, labels }));
+  }
+
   runnerLogPatterns() {
     return {
       ready: /Starting runner for/,
@@ -364,16 +430,30 @@ class Gitlab {
     return `${this.repo}/-/merge_requests/${prNumber}#note_${id}`;
   }
 
+  async prCommentDelete(opts = {}) {
+    const projectPath = await this.projectPath();
+    const { prNumber, id } = opts;
+
+    const endpoint = `/projects/${projectPath}/merge_requests/${prNumber}/notes/${id}`;
+
+    await this.request({ endpoint, method: 'DELETE', raw: true });
+  }
+
   async prComments(opts = {}) {
     const projectPath = await this.projectPath();
     const { prNumber } = opts;
 
-    const endpoint = `/projects/${projectPath}/merge_requests/${prNumber}/notes`;
+    const endpoint = `/projects/${projectPath}/merge_requests/${prNumber}/notes?sort=asc&per_page=${PAGE_LIMIT}`;
 
-    const comments = await this.request({
-      endpoint,
-      method: 'GET'
-    });
+    const comments = [];
+    for (let page = 1; ; page++) {
+      const notes = await this.request({
+        endpoint: `${endpoint}&page=${page}`,
+        method: 'GET'
+      });
+      comments.push(...notes);
+      if (notes.length < PAGE_LIMIT) break;
+    }
 
     return comments.map(({ id, body }) => {
       return { id, body };
@@ -445,6 +525,10 @@ class Gitlab {
     return command;
   }
 
+  get maxCommentLength() {
+    return 1000000;
+  }
+
   get workflowId() {
     return CI_PIPELINE_ID;
   }
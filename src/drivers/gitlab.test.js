@@ -0,0 +1,120 @@
+const http = require('http');
+const { URLSearchParams } = require('url');
+
+const Gitlab = require('./gitlab');
+
+const TOKEN = 'gitlab-token';
+
+describe('Gitlab driver against a mock API', () => {
+  let server;
+  let client;
+  const requests = [];
+  const api = '/api/v4/projects/group%2Frepo';
+
+  const routes = {
+    'GET /api/v4/version': () => ({ version: '16.0.0' }),
+    [`POST ${api}/statuses/abc123`]: ({ body }) => ({ id: 1, ...body }),
+    [`GET ${api}/jobs`]: () => [
+      { id: 1, name: 'train', tag_list: ['cml', 'gpu'] },
+      { id: 2, name: 'test', tag_list: ['cml'] },
+      { id: 3, name: 'lint', tag_list: [] },
+      { id: 4, name: 'deploy', tag_list: ['cml', 'prod'] }
+    ],
+    [`GET ${api}/merge_requests/7/notes`]: ({ query }) => {
+      const page = Number(query.get('page'));
+      const perPage = Number(query.get('per_page'));
+      return notes.slice((page - 1) * perPage, page * perPage);
+    }
+  };
+  const notes = Array.from({ length: 150 }, (_, i) => ({
+    id: i + 1,
+    body: `note ${i + 1}`
+  }));
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let data = '';
+      req.on('data', (chunk) => (data += chunk));
+      req.on('end', () => {
+        const { pathname, searchParams: query } = new URL(
+          req.url,
+          'http://localhost'
+        );
+        const body = Object.fromEntries(new URLSearchParams(data));
+        requests.push({ method: req.method, pathname, headers: req.headers });
+
+        const route = routes[`${req.method} ${pathname}`];
+        if (!route) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify({ message: '404 Not Found' }));
+        }
+
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(route({ body, query })));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, 'localhost', resolve));
+
+    const origin = `http://localhost:${server.address().port}`;
+    client = new Gitlab({ repo: `${origin}/group/repo`, token: TOKEN });
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => (requests.length = 0));
+
+  test('checkCreate publishes a commit status', async () => {
+    const status = await client.checkCreate({
+      headSha: 'abc123',
+      report: '# Report\n\nDetails',
+      conclusion: 'failure',
+      detailsUrl: 'https://example.com/run'
+    });
+
+    expect(status).toEqual({
+      id: 1,
+      name: 'CML Report',
+      state: 'failed',
+      description: '# Report',
+      target_url: 'https://example.com/run'
+    });
+    expect(requests.pop().headers['private-token']).toBe(TOKEN);
+  });
+
+  test('checkUpdate maps pending statuses', async () => {
+    const queued = await client.checkUpdate({
+      headSha: 'abc123',
+      title: 'Training',
+      status: 'queued'
+    });
+    expect(queued.state).toBe('pending');
+
+    const running = await client.checkUpdate({
+      headSha: 'abc123',
+      title: 'Training',
+      status: 'in_progress'
+    });
+    expect(running).toMatchObject({ name: 'Training', state: 'running' });
+  });
+
+  test('queuedJobs lists pending jobs the labels can run', async () => {
+    const jobs = await client.queuedJobs({ labels: 'cml,gpu' });
+
+    expect(jobs).toEqual([
+      { id: 1, name: 'train', labels: ['cml', 'gpu'] },
+      { id: 2, name: 'test', labels: ['cml'] }
+    ]);
+  });
+
+  test('prComments pages through every note, oldest first', async () => {
+    const comments = await client.prComments({ prNumber: 7 });
+
+    expect(comments).toHaveLength(150);
+    expect(comments[0]).toEqual({ id: 1, body: 'note 1' });
+    expect(comments[149]).toEqual({ id: 150, body: 'note 150' });
+    expect(requests.map(({ pathname }) => pathname)).toEqual([
+      `${api}/merge_requests/7/notes`,
+      `${api}/merge_requests/7/notes`
+    ]);
+  });
+});
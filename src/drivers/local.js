@@ -0,0 +1,376 @@
+const fs = require('fs').promises;
+const { join, resolve } = require('path');
+const { pathToFileURL } = require('url');
+
+const { exec, fetchAssetData } = require('../utils');
+
+const OUTBOX = '.cml/outbox';
+
+// Offline driver that writes every forge operation into an outbox directory:
+//
+//   comments/<commit sha>/<id>.{json,md}
+//   prs/<number>/pr.json
+//   prs/<number>/comments/<id>.{json,md}
+//   checks/<id>.{json,md}
+//   assets/<sha256>.<extension>
+class Local {
+  constructor(opts = {}) {
+    const {
+      repo,
+      outbox = process.env.CML_LOCAL_OUTBOX || OUTBOX,
+      maxCommentLength = process.env.CML_LOCAL_MAX_COMMENT_LENGTH
+    } = opts;
+
+    this.repo = repo;
+    this.outbox = resolve(outbox);
+    // Unlimited unless set, e.g. to rehearse the limits of another forge.
+    this.maxCommentLength = Number(maxCommentLength) || Infinity;
+  }
+
+  async nextId(dir) {
+    const ids = (await this.records(dir)).map(({ id }) => id);
+    return Math.max(0, ...ids) + 1;
+  }
+
+  async records(dir) {
+    let files = [];
+    try {
+      files = await fs.readdir(dir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    const records = await Promise.all(
+      files
+        .filter((file) => file.endsWith('.json'))
+        .map(async (file) => JSON.parse(await fs.readFile(join(dir, file))))
+    );
+
+    return records.sort((a, b) => a.id - b.id);
+  }
+
+  async writeRecord(dir, record) {
+    const { id, body } = record;
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      join(dir, `${id}.json`),
+      JSON.stringify(record, null, 2)
+    );
+    if (body !== undefined) await fs.writeFile(join(dir, `${id}.md`), body);
+
+    return pathToFileURL(join(dir, `${id}.md`)).toString();
+  }
+
+  async updateRecord(dir, opts = {}) {
+    const { id, body } = opts;
+
+    const path = join(dir, `${id}.json`);
+    let record;
+    try {
+      record = JSON.parse(await fs.readFile(path));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      throw new Error(`Comment ${id} not found`);
+    }
+
+    return await this.writeRecord(dir, {
+      ...record,
+      body,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  async deleteRecord(dir, opts = {}) {
+    const { id } = opts;
+
+    try {
+      await fs.unlink(join(dir, `${id}.json`));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      throw new Error(`Comment ${id} not found`);
+    }
+    await fs.rm(join(dir, `${id}.md`), { force: true });
+  }
+
+  commitDir(commitSha) {
+    return join(this.outbox, 'comments', commitSha);
+  }
+
+  prDir(prNumber) {
+    return join(this.outbox, 'prs', `${prNumber}`);
+  }
+
+  async commentCreate(opts = {}) {
+    const { report: body, commitSha } = opts;
+    const dir = this.commitDir(commitSha);
+
+    return await this.writeRecord(dir, {
+      id: await this.nextId(dir),
+      commitSha,
+      body,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  async commentUpdate(opts = {}) {
+    const { report: body, id, commitSha } = opts;
+
+    return await this.updateRecord(this.commitDir(commitSha), { id, body });
+  }
+
+  async commentDelete(opts = {}) {
+    const { id, commitSha } = opts;
+
+    await this.deleteRecord(this.commitDir(commitSha), { id });
+  }
+
+  async commitComments(opts = {}) {
+    const { commitSha } = opts;
+
+    return (await this.records(this.commitDir(commitSha))).map(
+      ({ id, body }) => {
+        return { id, body };
+      }
+    );
+  }
+
+  async pullRequests() {
+    let numbers = [];
+    try {
+      numbers = await fs.readdir(join(this.outbox, 'prs'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    const prs = await Promise.all(
+      numbers.map(async (number) =>
+        JSON.parse(await fs.readFile(join(this.prDir(number), 'pr.json')))
+      )
+    );
+
+    return prs.sort((a, b) => a.number - b.number);
+  }
+
+  parsePr(pr) {
+    const { number, source, target } = pr;
+    return {
+      url: pathToFileURL(this.prDir(number)).toString(),
+      source,
+      target
+    };
+  }
+
+  async commitPrs(opts = {}) {
+    const { commitSha, state = 'open' } = opts;
+
+    return (await this.pullRequests())
+      .filter((pr) => pr.sha === commitSha && pr.state === state)
+      .map((pr) => this.parsePr(pr));
+  }
+
+  async checkCreate(opts = {}) {
+    const {
+      report: body,
+      headSha,
+      title = 'CML Report',
+      conclusion = 'success',
+      status = 'completed',
+      annotations = [],
+      detailsUrl,
+      externalId,
+      text
+    } = opts;
+    const dir = join(this.outbox, 'checks');
+
+    const record = {
+      id: await this.nextId(dir),
+      headSha,
+      title,
+      conclusion: status === 'completed' ? conclusion : undefined,
+      status,
+      detailsUrl,
+      externalId,
+      text,
+      annotations,
+      body,
+      createdAt: new Date().toISOString()
+    };
+    await this.writeRecord(dir, record);
+
+    return record;
+  }
+
+  async checkUpdate(opts = {}) {
+    const { id, report: body, annotations = [] } = opts;
+    const { title, conclusion, status, detailsUrl, externalId, text } = opts;
+    const dir = join(this.outbox, 'checks');
+
+    const record = (await this.records(dir)).find(
+      (record) => `${record.id}` === `${id}`
+    );
+    if (!record) throw new Error(`Check ${id} not found`);
+
+    const changes = { title, conclusion, status, detailsUrl, externalId, text };
+    for (const [key, value] of Object.entries({ ...changes, body }))
+      if (value !== undefined) record[key] = value;
+    // Like check runs, annotations are added to the previous ones.
+    record.annotations = [...(record.annotations || []), ...annotations];
+    record.updatedAt = new Date().toISOString();
+    await this.writeRecord(dir, record);
+
+    return record;
+  }
+
+  async upload(opts = {}) {
+    const { mime, size, buffer, name } = await fetchAssetData(opts);
+
+    const dir = join(this.outbox, 'assets');
+    const path = join(dir, name);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path, buffer);
+
+    return { uri: pathToFileURL(path).toString(), mime, size };
+  }
+
+  async runnerToken() {
+    throw new Error('Local driver does not support runners!');
+  }
+
+  async registerRunner() {
+    throw new Error('Local driver does not support runners!');
+  }
+
+  async unregisterRunner() {
+    throw new Error('Local driver does not support runners!');
+  }
+
+  async startRunner() {
+    throw new Error('Local driver does not support runners!');
+  }
+
+  async runners() {
+    throw new Error('Local driver does not support runners!');
+  }
+
+  async runnerById() {
+    throw new Error('Local driver does not support runners!');
+  }
+
+  async queuedJobs() {
+    throw new Error('Local driver does not support runners!');
+  }
+
+  async prCreate(opts = {}) {
+    const { source, target, title, description, autoMerge } = opts;
+    const number = Math.max(
+      0,
+      ...(await this.pullRequests()).map(({ number }) => number)
+    );
+
+    let sha;
+    try {
+      sha = await exec(`git rev-parse ${source}`);
+    } catch (err) {}
+
+    const pr = {
+      number: number + 1,
+      source,
+      target,
+      sha,
+      title,
+      description,
+      autoMerge,
+      state: 'open',
+      createdAt: new Date().toISOString()
+    };
+    const dir = this.prDir(pr.number);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(join(dir, 'pr.json'), JSON.stringify(pr, null, 2));
+    await fs.writeFile(join(dir, 'pr.md'), `# ${title}\n\n${description}\n`);
+
+    return this.parsePr(pr).url;
+  }
+
+  async prCommentCreate(opts = {}) {
+    const { report: body, prNumber } = opts;
+    const dir = join(this.prDir(prNumber), 'comments');
+
+    return await this.writeRecord(dir, {
+      id: await this.nextId(dir),
+      prNumber,
+      body,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  async prCommentUpdate(opts = {}) {
+    const { report: body, prNumber, id } = opts;
+
+    return await this.updateRecord(join(this.prDir(prNumber), 'comments'), {
+      id,
+      body
+    });
+  }
+
+  async prCommentDelete(opts = {}) {
+    const { prNumber, id } = opts;
+
+    await this.deleteRecord(join(this.prDir(prNumber), 'comments'), { id });
+  }
+
+  async prComments(opts = {}) {
+    const { prNumber } = opts;
+
+    return (await this.records(join(this.prDir(prNumber), 'comments'))).map(
+      ({ id, body }) => {
+        return { id, body };
+      }
+    );
+  }
+
+  async prs(opts = {}) {
+    const { state = 'open' } = opts;
+
+    return (await this.pullRequests())
+      .filter((pr) => pr.state === state)
+      .map((pr) => this.parsePr(pr));
+  }
+
+  async pipelineRerun() {
+    throw new Error('Local driver does not support pipelineRerun!');
+  }
+
+  async pipelineJobs() {
+    return [];
+  }
+
+  async updateGitConfig({ userName, userEmail } = {}) {
+    const command = `
+    git config user.name "${userName || this.userName}" &&
+    git config user.email "${userEmail || this.userEmail}"`;
+
+    return command;
+  }
+
+  get inlineImages() {
+    return true;
+  }
+
+  get workflowId() {}
+
+  get runId() {}
+
+  get sha() {}
+
+  get branch() {}
+
+  get userEmail() {
+    return 'cml@localhost';
+  }
+
+  get userName() {
+    return 'CML';
+  }
+}
+
+module.exports = Local;
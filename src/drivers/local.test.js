@@ -0,0 +1,73 @@
+const fs = require('fs').promises;
+const { join } = require('path');
+const { fileURLToPath } = require('url');
+const tempy = require('tempy');
+
+const Local = require('./local');
+
+describe('Local driver', () => {
+  let outbox;
+
+  beforeEach(() => {
+    outbox = tempy.directory();
+  });
+
+  afterEach(async () => {
+    await fs.rm(outbox, { recursive: true, force: true });
+  });
+
+  test('commit comments are written, listed and updated', async () => {
+    const client = new Local({ outbox });
+
+    const url = await client.commentCreate({ report: 'a', commitSha: 'sha' });
+    await client.commentCreate({ report: 'b', commitSha: 'sha' });
+    expect(await fs.readFile(fileURLToPath(url), 'utf-8')).toBe('a');
+
+    await client.commentUpdate({ report: 'c', commitSha: 'sha', id: 1 });
+    expect(await client.commitComments({ commitSha: 'sha' })).toEqual([
+      { id: 1, body: 'c' },
+      { id: 2, body: 'b' }
+    ]);
+    await expect(
+      client.commentUpdate({ report: 'd', commitSha: 'sha', id: 3 })
+    ).rejects.toThrow('Comment 3 not found');
+  });
+
+  test('pull requests and their comments', async () => {
+    const client = new Local({ outbox });
+
+    const url = await client.prCreate({
+      source: 'HEAD',
+      target: 'main',
+      title: 'title',
+      description: 'description'
+    });
+    expect(url.endsWith('/prs/1')).toBe(true);
+
+    const [{ sha }] = await client.pullRequests();
+    expect(await client.commitPrs({ commitSha: sha })).toEqual([
+      { url, source: 'HEAD', target: 'main' }
+    ]);
+
+    await client.prCommentCreate({ report: 'report', prNumber: 1 });
+    expect(await client.prComments({ prNumber: 1 })).toEqual([
+      { id: 1, body: 'report' }
+    ]);
+  });
+
+  test('assets are stored by content hash', async () => {
+    const client = new Local({ outbox });
+
+    const { uri, mime } = await client.upload({
+      path: join(__dirname, '../../assets/logo.png')
+    });
+    expect(mime).toBe('image/png');
+    expect(uri).toMatch(/\/assets\/[0-9a-f]{64}\.png$/);
+  });
+
+  test('git identity defaults to CML', async () => {
+    const command = await new Local({ outbox }).updateGitConfig();
+    expect(command).toContain('git config user.name "CML"');
+    expect(command).toContain('git config user.email "cml@localhost"');
+  });
+});
@@ -0,0 +1,82 @@
+const path = require('path');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp'];
+
+// Runs fn over items with at most limit calls pending at any time, keeping
+// the results in the same order as the items.
+const mapLimit = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker)
+  );
+  return results;
+};
+
+const caption = (file) => {
+  const { dir, name } = path.parse(file.split(path.sep).join('/'));
+  return [...(dir ? dir.split('/') : []), name]
+    .map((part) => part.replace(/[_-]+/g, ' ').trim())
+    .join(' / ');
+};
+
+const isImage = (file) =>
+  IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+const escapeCell = (text) => text.replace(/\|/g, '\\|');
+
+// Markdown has no way of sizing images, but forges shrink them to fit the
+// table cells, so a table with a few columns renders as a thumbnail grid.
+// Captions come from the name of each entry, its path relative to the
+// published directory, and thumbnails link to the full image if there's one.
+const gallery = (entries, opts = {}) => {
+  const { columns = 3 } = opts;
+
+  const images = entries.filter(({ file }) => isImage(file));
+  const others = entries.filter(({ file }) => !isImage(file));
+  const blocks = [];
+
+  if (images.length) {
+    const width = Math.max(1, Math.min(columns, images.length));
+    const rows = [`|${' |'.repeat(width)}`, `|${' :-: |'.repeat(width)}`];
+    for (let i = 0; i < images.length; i += width) {
+      const cells = images.slice(i, i + width).map((entry) => {
+        const { file, name, uri, full = uri } = entry;
+        const text = escapeCell(caption(name || file));
+        return ` [![${text}](${uri})](${full})<br>${text} |`;
+      });
+      while (cells.length < width) cells.push(' |');
+      rows.push(`|${cells.join('')}`);
+    }
+    blocks.push(rows.join('\n'));
+  }
+
+  if (others.length)
+    blocks.push(
+      others
+        .map(({ file, name, uri }) => `- [${caption(name || file)}](${uri})`)
+        .join('\n')
+    );
+
+  return blocks.join('\n\n');
+};
+
+const manifest = (entries) =>
+  JSON.stringify(
+    Object.fromEntries(entries.map(({ file, uri }) => [file, uri])),
+    null,
+    2
+  );
+
+exports.mapLimit = mapLimit;
+exports.caption = caption;
+exports.gallery = gallery;
+exports.manifest = manifest;
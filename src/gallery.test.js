@@ -0,0 +1,59 @@
+const { caption, gallery, manifest, mapLimit } = require('./gallery');
+
+describe('Gallery tests', () => {
+  test('captions are derived from file names', () => {
+    expect(caption('confusion_matrix-epoch_10.png')).toBe(
+      'confusion matrix epoch 10'
+    );
+    expect(caption('train/roc__curve.svg')).toBe('train / roc curve');
+  });
+
+  test('images are laid out in a grid and other files listed', () => {
+    const entries = [
+      { file: 'plots/a.png', name: 'a.png', uri: 'https://x/a' },
+      { file: 'plots/b|c.svg', name: 'b|c.svg', uri: 'https://x/b' },
+      { file: 'plots/d.jpg', name: 'd.jpg', uri: 'https://x/d' },
+      { file: 'plots/metrics.json', name: 'metrics.json', uri: 'https://x/m' }
+    ];
+
+    expect(gallery(entries, { columns: 2 })).toBe(
+      [
+        '| | |',
+        '| :-: | :-: |',
+        '| [![a](https://x/a)](https://x/a)<br>a | [![b\\|c](https://x/b)](https://x/b)<br>b\\|c |',
+        '| [![d](https://x/d)](https://x/d)<br>d | |',
+        '',
+        '- [metrics](https://x/m)'
+      ].join('\n')
+    );
+    expect(gallery(entries.slice(0, 1))).toBe(
+      '| |\n| :-: |\n| [![a](https://x/a)](https://x/a)<br>a |'
+    );
+  });
+
+  test('the manifest maps local paths to URIs', () => {
+    expect(
+      JSON.parse(
+        manifest([
+          { file: 'plots/a.png', name: 'a.png', uri: 'https://x/a' },
+          { file: 'plots/b.png', name: 'b.png', uri: 'https://x/b' }
+        ])
+      )
+    ).toEqual({ 'plots/a.png': 'https://x/a', 'plots/b.png': 'https://x/b' });
+  });
+
+  test('mapLimit bounds concurrency and keeps the order', async () => {
+    let pending = 0;
+    let peak = 0;
+    const results = await mapLimit([30, 10, 20, 0, 5], 2, async (delay, i) => {
+      peak = Math.max(peak, ++pending);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      pending--;
+      return i;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(peak).toBe(2);
+    expect(await mapLimit([], 4, async () => 1)).toEqual([]);
+  });
+});
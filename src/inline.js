@@ -0,0 +1,61 @@
+const fs = require('fs').promises;
+const { extname } = require('path');
+const { PNG } = require('pngjs');
+
+// Images up to this many bytes, after compression, are inlined by default.
+const INLINE_MAX_SIZE = 32768;
+
+// Lossless: drops metadata and encodes the image again at the highest
+// compression level. Returns the original if that isn't smaller, or if its
+// 16-bit channels would be rounded.
+const recompressPng = (buffer) => {
+  const image = PNG.sync.read(buffer);
+  if (image.depth > 8) return buffer;
+
+  const png = PNG.sync.write(image, {
+    colorType: image.alpha ? 6 : 2,
+    deflateLevel: 9
+  });
+
+  return png.length < buffer.length ? png : buffer;
+};
+
+// Comments and indentation between tags; whitespace within a line may be
+// part of a text element and is kept.
+const minifySvg = (svg) =>
+  svg
+    .replace(/<\?xml[\s\S]*?\?>/, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/>\s*\n\s*</g, '><')
+    .trim();
+
+// Data URI of a PNG or SVG image no larger than maxSize once compressed, or
+// undefined for any other image.
+const inlineImage = async (opts = {}) => {
+  const { path, maxSize = INLINE_MAX_SIZE } = opts;
+
+  const extension = extname(path).toLowerCase();
+  if (!['.png', '.svg'].includes(extension)) return;
+
+  const buffer = await fs.readFile(path);
+  let data, mime;
+  if (extension === '.png') {
+    try {
+      data = recompressPng(buffer);
+    } catch (err) {
+      return;
+    }
+    mime = 'image/png';
+  } else {
+    data = Buffer.from(minifySvg(buffer.toString('utf-8')));
+    mime = 'image/svg+xml';
+  }
+  if (data.length > maxSize) return;
+
+  return `data:${mime};base64,${data.toString('base64')}`;
+};
+
+exports.INLINE_MAX_SIZE = INLINE_MAX_SIZE;
+exports.inlineImage = inlineImage;
+exports.minifySvg = minifySvg;
+exports.recompressPng = recompressPng;
@@ -0,0 +1,60 @@
+const fs = require('fs').promises;
+const { join } = require('path');
+const { PNG } = require('pngjs');
+const tempy = require('tempy');
+
+const { inlineImage, minifySvg, recompressPng } = require('./inline');
+
+const LOGO = join(__dirname, '../assets/logo.png');
+
+describe('Inline images tests', () => {
+  test('PNG images are recompressed without changing their pixels', async () => {
+    const png = await fs.readFile(LOGO);
+    const recompressed = recompressPng(png);
+
+    expect(recompressed.length).toBeLessThan(png.length);
+    expect(PNG.sync.read(recompressed).data).toEqual(PNG.sync.read(png).data);
+    expect(recompressed.includes('tEXt')).toBe(false);
+    expect(recompressPng(recompressed)).toBe(recompressed);
+    expect(() => recompressPng(Buffer.from('GIF89a'))).toThrow();
+  });
+
+  test('SVG images lose comments and indentation only', () => {
+    expect(
+      minifySvg(`<?xml version="1.0" encoding="utf-8"?>
+<!-- Created with matplotlib -->
+<svg xmlns="http://www.w3.org/2000/svg">
+  <text x="0">a  b</text>
+</svg>
+`)
+    ).toBe(
+      '<svg xmlns="http://www.w3.org/2000/svg"><text x="0">a  b</text></svg>'
+    );
+  });
+
+  test('small PNG and SVG images become data URIs', async () => {
+    const dir = tempy.directory();
+    try {
+      const svg = join(dir, 'plot.svg');
+      await fs.writeFile(svg, '<svg xmlns="http://www.w3.org/2000/svg"/>\n');
+      expect(await inlineImage({ path: svg })).toBe(
+        `data:image/svg+xml;base64,${Buffer.from(
+          '<svg xmlns="http://www.w3.org/2000/svg"/>'
+        ).toString('base64')}`
+      );
+
+      const uri = await inlineImage({ path: LOGO });
+      expect(uri.startsWith('data:image/png;base64,iVBORw0KGgo')).toBe(true);
+      expect(await inlineImage({ path: LOGO, maxSize: 1024 })).toBeUndefined();
+
+      const fake = join(dir, 'fake.png');
+      await fs.writeFile(fake, 'not a png');
+      expect(await inlineImage({ path: fake })).toBeUndefined();
+      expect(
+        await inlineImage({ path: join(__dirname, '../assets/logo.pdf') })
+      ).toBeUndefined();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Runners append one JSON line per event to a journal in their workdir, so
+// that their history survives the runner process.
+const JOURNAL = 'cml-runner.jsonl';
+
+const journalPath = (workdir) => path.join(workdir, JOURNAL);
+
+const appendJournal = async (opts) => {
+  const { workdir, entry } = opts;
+  await fs.appendFile(journalPath(workdir), `${JSON.stringify(entry)}\n`);
+};
+
+// Lines left half written by a runner that was killed are skipped.
+const readJournal = async (opts) => {
+  const { workdir } = opts;
+
+  let data;
+  try {
+    data = await fs.readFile(journalPath(workdir), 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  return data.split('\n').flatMap((line) => {
+    try {
+      return line ? [JSON.parse(line)] : [];
+    } catch (err) {
+      return [];
+    }
+  });
+};
+
+const summarizeJournal = (entries) => {
+  const summary = {
+    jobs: 0,
+    succeeded: 0,
+    failed: 0,
+    running: 0,
+    duration: 0,
+    ready: undefined,
+    lastJob: undefined
+  };
+
+  for (const { status, date, success, duration = 0 } of entries) {
+    if (status === 'ready') summary.ready = date;
+
+    if (status === 'job_started') {
+      summary.jobs++;
+      summary.running++;
+      summary.lastJob = date;
+    }
+
+    if (status === 'job_ended') {
+      summary.running = Math.max(summary.running - 1, 0);
+      summary[success ? 'succeeded' : 'failed']++;
+      summary.duration += duration;
+    }
+  }
+
+  const ended = summary.succeeded + summary.failed;
+  summary.meanDuration = ended ? Math.round(summary.duration / ended) : 0;
+
+  return summary;
+};
+
+exports.JOURNAL = JOURNAL;
+exports.journalPath = journalPath;
+exports.appendJournal = appendJournal;
+exports.readJournal = readJournal;
+exports.summarizeJournal = summarizeJournal;
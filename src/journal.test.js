@@ -0,0 +1,48 @@
+const fs = require('fs').promises;
+const tempy = require('tempy');
+
+const {
+  journalPath,
+  appendJournal,
+  readJournal,
+  summarizeJournal
+} = require('./journal');
+
+describe('Journal tests', () => {
+  test('entries are appended and read back', async () => {
+    const workdir = tempy.directory();
+    expect(await readJournal({ workdir })).toEqual([]);
+
+    await appendJournal({ workdir, entry: { status: 'ready' } });
+    await appendJournal({ workdir, entry: { status: 'job_started', job: 1 } });
+    // A runner killed halfway through a write leaves a truncated line.
+    await fs.appendFile(journalPath(workdir), '{"status":"job_e');
+
+    expect(await readJournal({ workdir })).toEqual([
+      { status: 'ready' },
+      { status: 'job_started', job: 1 }
+    ]);
+  });
+
+  test('summarizeJournal counts jobs and their durations', () => {
+    const summary = summarizeJournal([
+      { status: 'ready', date: '2022-06-05T16:25:56Z' },
+      { status: 'job_started', date: '2022-06-05T16:26:00Z', job: 1 },
+      { status: 'job_started', date: '2022-06-05T16:27:00Z', job: 2 },
+      { status: 'job_ended', job: 2, success: false, duration: 30 },
+      { status: 'job_ended', job: 1, success: true, duration: 91 },
+      { status: 'job_started', date: '2022-06-05T16:30:00Z', job: 3 }
+    ]);
+
+    expect(summary).toEqual({
+      jobs: 3,
+      succeeded: 1,
+      failed: 1,
+      running: 1,
+      duration: 121,
+      meanDuration: 61,
+      ready: '2022-06-05T16:25:56Z',
+      lastJob: '2022-06-05T16:30:00Z'
+    });
+  });
+});
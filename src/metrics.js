@@ -0,0 +1,70 @@
+const { flatten } = require('./table');
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+// Rounds away floating point noise such as 0.3 - 0.25 = 0.04999999999999999.
+const round = (value) => Number(value.toPrecision(6));
+
+const formatValue = (value) => {
+  if (value === undefined) return '-';
+  if (typeof value === 'string') return value;
+
+  return JSON.stringify(value);
+};
+
+// Compares two metrics objects, flattening nested keys, and returns one row
+// per metric present in either.
+const diffMetrics = (previous = {}, current = {}) => {
+  const old = flatten(previous);
+  const updated = flatten(current);
+  const keys = [...new Set([...Object.keys(old), ...Object.keys(updated)])];
+
+  return keys.map((metric) => {
+    const before = old[metric];
+    const after = updated[metric];
+
+    const row = { metric, old: before, new: after };
+    if (isNumber(before) && isNumber(after)) {
+      row.change = round(after - before);
+      if (before !== 0)
+        row.relative = round((row.change / Math.abs(before)) * 100);
+    }
+
+    return row;
+  });
+};
+
+const metricsDiffTable = (rows) => {
+  const cell = (value) => `${value}`.replace(/\|/g, '\\|');
+
+  const lines = [
+    '| Metric | Old | New | Change | Change % |',
+    '| --- | ---: | ---: | ---: | ---: |',
+    ...rows.map((row) => {
+      const { metric, change, relative } = row;
+
+      let marker = '';
+      if (change > 0) marker = '▲ ';
+      if (change < 0) marker = '▼ ';
+
+      return `| ${[
+        metric,
+        formatValue(row.old),
+        formatValue(row.new),
+        change === undefined
+          ? '-'
+          : `${marker}${change > 0 ? '+' : ''}${change}`,
+        relative === undefined
+          ? '-'
+          : `${relative > 0 ? '+' : ''}${relative.toFixed(2)}%`
+      ]
+        .map(cell)
+        .join(' | ')} |`;
+    })
+  ];
+
+  return lines.join('\n');
+};
+
+exports.diffMetrics = diffMetrics;
+exports.metricsDiffTable = metricsDiffTable;
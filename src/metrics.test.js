@@ -0,0 +1,49 @@
+const { diffMetrics, metricsDiffTable } = require('./metrics');
+
+describe('Metrics tests', () => {
+  test('diffMetrics compares flattened metrics', () => {
+    const rows = diffMetrics(
+      { train: { loss: 0.3, accuracy: 0.8 }, steps: 0, removed: 1 },
+      { train: { loss: 0.25, accuracy: 0.9 }, steps: 10, added: 'x' }
+    );
+
+    expect(rows).toEqual([
+      {
+        metric: 'train.loss',
+        old: 0.3,
+        new: 0.25,
+        change: -0.05,
+        relative: -16.6667
+      },
+      {
+        metric: 'train.accuracy',
+        old: 0.8,
+        new: 0.9,
+        change: 0.1,
+        relative: 12.5
+      },
+      { metric: 'steps', old: 0, new: 10, change: 10 },
+      { metric: 'removed', old: 1, new: undefined },
+      { metric: 'added', old: undefined, new: 'x' }
+    ]);
+  });
+
+  test('metricsDiffTable marks increases and decreases', () => {
+    const table = metricsDiffTable(
+      diffMetrics(
+        { loss: 0.3, accuracy: 0.8, epochs: 10, removed: 1 },
+        { loss: 0.25, accuracy: 0.9, epochs: 10, 'a|b': true }
+      )
+    );
+
+    expect(table).toMatchInlineSnapshot(`
+      "| Metric | Old | New | Change | Change % |
+      | --- | ---: | ---: | ---: | ---: |
+      | loss | 0.3 | 0.25 | ▼ -0.05 | -16.67% |
+      | accuracy | 0.8 | 0.9 | ▲ +0.1 | +12.50% |
+      | epochs | 10 | 10 | 0 | 0.00% |
+      | removed | 1 | - | - | - |
+      | a\\\\|b | - | true | - | - |"
+    `);
+  });
+});
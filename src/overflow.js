@@ -0,0 +1,63 @@
+const FENCE = /^\s*(`{3,}|~{3,})/;
+
+const closes = (fence, line) => {
+  const [, marker] = line.match(FENCE) || [];
+  return (
+    !!marker &&
+    marker[0] === fence.marker[0] &&
+    marker.length >= fence.marker.length &&
+    !line.trim().slice(marker.length)
+  );
+};
+
+// The code fence left open at the end of the text, if any, as its opening
+// line and marker: cutting there needs a closing marker and a reopened fence.
+const openFence = (text) => {
+  let fence;
+  for (const line of text.split('\n')) {
+    if (fence) {
+      if (closes(fence, line)) fence = undefined;
+    } else {
+      const [, marker] = line.match(FENCE) || [];
+      if (marker) fence = { line, marker };
+    }
+  }
+
+  return fence;
+};
+
+// Splits a Markdown report into parts of at most maxLength characters, cutting
+// at paragraph or line breaks when possible and keeping code fences balanced.
+const splitReport = (report, maxLength) => {
+  const parts = [];
+
+  let rest = report;
+  while (rest.length > maxLength) {
+    // Leave room for the marker closing a code fence cut in half.
+    const size = maxLength - 8;
+
+    let end = rest.lastIndexOf('\n\n', size);
+    if (end < size / 2) end = rest.lastIndexOf('\n', size);
+    if (end < size / 2) end = size;
+
+    let part = rest.slice(0, end).trimEnd();
+    rest = rest.slice(end).replace(/^\n+/, '');
+
+    const fence = openFence(part);
+    if (fence) {
+      part = `${part}\n${fence.marker}`;
+
+      const [line, ...lines] = rest.split('\n');
+      rest = closes(fence, line)
+        ? lines.join('\n').replace(/^\n+/, '')
+        : `${fence.line}\n${rest}`;
+    }
+
+    parts.push(part);
+  }
+  parts.push(rest);
+
+  return parts;
+};
+
+exports.splitReport = splitReport;
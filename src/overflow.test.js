@@ -0,0 +1,61 @@
+const { splitReport } = require('./overflow');
+
+describe('Overflow tests', () => {
+  test('short reports are a single part', () => {
+    expect(splitReport('# Report', 100)).toEqual(['# Report']);
+  });
+
+  test('reports are split at paragraph and line breaks', () => {
+    const paragraph = 'x'.repeat(30);
+    const report = [paragraph, paragraph, `${paragraph}\n${paragraph}`].join(
+      '\n\n'
+    );
+
+    const parts = splitReport(report, 80);
+    expect(parts).toEqual([
+      `${paragraph}\n\n${paragraph}`,
+      `${paragraph}\n${paragraph}`
+    ]);
+    expect(parts.every((part) => part.length <= 80)).toBe(true);
+  });
+
+  test('code fences cut in half are closed and reopened', () => {
+    const lines = Array.from({ length: 10 }, (_, i) => `line ${i}`);
+    const report = `Output:\n\n\`\`\`python\n${lines.join(
+      '\n'
+    )}\n\`\`\`\n\nDone`;
+
+    const parts = splitReport(report, 60);
+    expect(parts).toMatchInlineSnapshot(`
+      Array [
+        "Output:
+
+      \`\`\`python
+      line 0
+      line 1
+      line 2
+      line 3
+      \`\`\`",
+        "\`\`\`python
+      line 4
+      line 5
+      line 6
+      line 7
+      line 8
+      line 9
+      \`\`\`",
+        "Done",
+      ]
+    `);
+    expect(parts.every((part) => part.length <= 60)).toBe(true);
+  });
+
+  test('lines without breaks are cut anywhere', () => {
+    expect(splitReport('x'.repeat(50), 20)).toEqual([
+      'x'.repeat(12),
+      'x'.repeat(12),
+      'x'.repeat(12),
+      'x'.repeat(14)
+    ]);
+  });
+});
@@ -0,0 +1,62 @@
+const http = require('http');
+
+const escape = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+// Prometheus text exposition format, see
+// https://prometheus.io/docs/instrumenting/exposition_formats/#text-based-format
+const exposition = (metrics, labels = {}) =>
+  metrics
+    .map((metric) => {
+      const { name, type, help, value } = metric;
+      const pairs = Object.entries({ ...labels, ...metric.labels }).map(
+        ([key, value]) => `${key}="${escape(value)}"`
+      );
+      const selector = pairs.length ? `{${pairs.join(',')}}` : '';
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} ${type}`,
+        `${name}${selector} ${Number(value)}`
+      ].join('\n');
+    })
+    .join('\n') + '\n';
+
+// Serves `metrics()` on /metrics and `healthy()` on /healthz until the
+// process exits.
+const serveMetrics = async (opts) => {
+  const { port, host, labels, metrics, healthy } = opts;
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/metrics') {
+      res.writeHead(200, {
+        'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'
+      });
+      return res.end(exposition(metrics(), labels));
+    }
+
+    if (pathname === '/healthz') {
+      const ok = healthy();
+      res.writeHead(ok ? 200 : 503, { 'Content-Type': 'text/plain' });
+      return res.end(ok ? 'ok\n' : 'unhealthy\n');
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('not found\n');
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  server.unref();
+
+  return server;
+};
+
+exports.exposition = exposition;
+exports.serveMetrics = serveMetrics;
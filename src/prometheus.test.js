@@ -0,0 +1,57 @@
+const fetch = require('node-fetch');
+
+const { exposition, serveMetrics } = require('./prometheus');
+
+describe('Prometheus tests', () => {
+  test('metrics are rendered in the Prometheus text format', () => {
+    const text = exposition(
+      [
+        { name: 'jobs_total', type: 'counter', help: 'Jobs', value: 3 },
+        {
+          name: 'shutdown',
+          type: 'gauge',
+          help: 'Shutdown',
+          labels: { reason: 'runner "closed"\n' },
+          value: true
+        }
+      ],
+      { name: 'cml-1' }
+    );
+
+    expect(text).toBe(
+      [
+        '# HELP jobs_total Jobs',
+        '# TYPE jobs_total counter',
+        'jobs_total{name="cml-1"} 3',
+        '# HELP shutdown Shutdown',
+        '# TYPE shutdown gauge',
+        'shutdown{name="cml-1",reason="runner \\"closed\\"\\n"} 1',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('metrics and health are served over HTTP', async () => {
+    let healthy = true;
+    const server = await serveMetrics({
+      port: 0,
+      host: 'localhost',
+      metrics: () => [{ name: 'up', type: 'gauge', help: 'Up', value: 1 }],
+      healthy: () => healthy
+    });
+    const origin = `http://localhost:${server.address().port}`;
+
+    try {
+      const metrics = await fetch(`${origin}/metrics`);
+      expect(metrics.headers.get('content-type')).toMatch('version=0.0.4');
+      expect(await metrics.text()).toMatch(/^up 1$/m);
+
+      expect((await fetch(`${origin}/healthz`)).status).toBe(200);
+      healthy = false;
+      expect((await fetch(`${origin}/healthz`)).status).toBe(503);
+      expect((await fetch(`${origin}/missing`)).status).toBe(404);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,40 @@
+// Sectioned comments hold one block per job, each between hidden markers:
+//
+//   <!-- cml section: gpu-py3.10 -->
+//   ...
+//   <!-- cml section end: gpu-py3.10 -->
+const SECTION =
+  /<!-- cml section: (.+?) -->\n([\s\S]*?)\n?<!-- cml section end: \1 -->/g;
+
+const validateSection = (name) => {
+  if (!name || /-->|\n/.test(name))
+    throw new Error(`Invalid section name "${name}"`);
+};
+
+const parseSections = (body = '') =>
+  [...body.matchAll(SECTION)].map(([, name, content]) => ({ name, content }));
+
+// Replaces the content of a section, or appends the section when new.
+const setSection = (sections, name, content) => {
+  validateSection(name);
+
+  if (!sections.some((section) => section.name === name))
+    return [...sections, { name, content }];
+
+  return sections.map((section) =>
+    section.name === name ? { name, content } : section
+  );
+};
+
+const renderSections = (sections) =>
+  sections
+    .map(
+      ({ name, content }) =>
+        `<!-- cml section: ${name} -->\n${content}\n<!-- cml section end: ${name} -->`
+    )
+    .join('\n\n');
+
+exports.parseSections = parseSections;
+exports.renderSections = renderSections;
+exports.setSection = setSection;
+exports.validateSection = validateSection;
@@ -0,0 +1,56 @@
+const {
+  parseSections,
+  renderSections,
+  setSection,
+  validateSection
+} = require('./sections');
+
+describe('Sections tests', () => {
+  test('sections survive a round trip', () => {
+    const sections = [
+      { name: 'cpu', content: '# CPU\n\naccuracy: 0.8' },
+      { name: 'gpu-py3.10', content: '# GPU' }
+    ];
+
+    const body = `abc1234\n\n${renderSections(sections)}\n\n![](watermark)`;
+    expect(parseSections(body)).toEqual(sections);
+    expect(renderSections(sections)).toMatchInlineSnapshot(`
+      "<!-- cml section: cpu -->
+      # CPU
+
+      accuracy: 0.8
+      <!-- cml section end: cpu -->
+
+      <!-- cml section: gpu-py3.10 -->
+      # GPU
+      <!-- cml section end: gpu-py3.10 -->"
+    `);
+  });
+
+  test('sections are replaced in place or appended', () => {
+    const sections = [
+      { name: 'a', content: '1' },
+      { name: 'b', content: '2' }
+    ];
+
+    expect(setSection(sections, 'a', '3')).toEqual([
+      { name: 'a', content: '3' },
+      { name: 'b', content: '2' }
+    ]);
+    expect(setSection(sections, 'c', '4')).toEqual([
+      ...sections,
+      { name: 'c', content: '4' }
+    ]);
+  });
+
+  test('comments without sections have none', () => {
+    expect(parseSections('report\n\n![](watermark)')).toEqual([]);
+    expect(parseSections()).toEqual([]);
+  });
+
+  test('section names can not break the markers', () => {
+    expect(() => validateSection('a -->')).toThrow('Invalid section name');
+    expect(() => validateSection('a\nb')).toThrow('Invalid section name');
+    expect(() => validateSection('')).toThrow('Invalid section name');
+  });
+});
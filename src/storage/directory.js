@@ -0,0 +1,32 @@
+const fs = require('fs').promises;
+const { join, resolve } = require('path');
+const { fileURLToPath } = require('url');
+
+const { fetchAssetData } = require('../utils');
+
+// A directory served over HTTP by some other web server, e.g. a shared
+// volume mounted on the runners; url is where that server exposes it.
+class Directory {
+  constructor(opts = {}) {
+    const { uri, url } = opts;
+
+    if (!url)
+      throw new Error(
+        `public URL not found for ${uri}, set the one it is served from with --storage-url`
+      );
+
+    this.dir = uri.startsWith('file:') ? fileURLToPath(uri) : resolve(uri);
+    this.url = url.replace(/\/$/, '');
+  }
+
+  async upload(opts = {}) {
+    const { mime, size, buffer, name } = await fetchAssetData(opts);
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(join(this.dir, name), buffer);
+
+    return { uri: `${this.url}/${name}`, mime, size };
+  }
+}
+
+module.exports = Directory;
@@ -0,0 +1,36 @@
+const fs = require('fs').promises;
+const { join } = require('path');
+const { pathToFileURL } = require('url');
+const tempy = require('tempy');
+
+const Directory = require('./directory');
+
+describe('Directory storage', () => {
+  test('assets are copied by content hash and served from the URL', async () => {
+    const dir = tempy.directory();
+    try {
+      const storage = new Directory({
+        uri: pathToFileURL(join(dir, 'assets')).toString(),
+        url: 'https://assets.example.com/cml/'
+      });
+
+      const { uri, mime } = await storage.upload({
+        path: join(__dirname, '../../assets/logo.png')
+      });
+      expect(mime).toBe('image/png');
+
+      const [, name] = uri.match(
+        /^https:\/\/assets\.example\.com\/cml\/([0-9a-f]{64}\.png)$/
+      );
+      expect(await fs.readdir(join(dir, 'assets'))).toEqual([name]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('a public URL is required', () => {
+    expect(() => new Directory({ uri: '/srv/www/cml' })).toThrow(
+      'public URL not found for /srv/www/cml'
+    );
+  });
+});
@@ -0,0 +1,54 @@
+const fetch = require('node-fetch');
+const ProxyAgent = require('proxy-agent');
+const { URL } = require('url');
+
+const { fetchAssetData } = require('../utils');
+
+// A WebDAV collection, given as webdav:// or webdavs:// for HTTPS. Credentials
+// can be part of the URI or set in CML_WEBDAV_USERNAME and CML_WEBDAV_PASSWORD;
+// the collection itself must already exist.
+class WebDAV {
+  constructor(opts = {}) {
+    const { uri } = opts;
+
+    const base = new URL(uri.replace(/^webdav(s?):/, 'http$1:'));
+    const {
+      url,
+      username = decodeURIComponent(base.username) ||
+        process.env.CML_WEBDAV_USERNAME,
+      password = decodeURIComponent(base.password) ||
+        process.env.CML_WEBDAV_PASSWORD
+    } = opts;
+    base.username = '';
+    base.password = '';
+
+    this.base = base.toString().replace(/\/$/, '');
+    this.url = (url || this.base).replace(/\/$/, '');
+    if (username)
+      this.authorization = `Basic ${Buffer.from(
+        `${username}:${password || ''}`
+      ).toString('base64')}`;
+  }
+
+  async upload(opts = {}) {
+    const { mime, size, buffer, name } = await fetchAssetData(opts);
+
+    const headers = { 'Content-Type': mime, 'Content-Length': size };
+    if (this.authorization) headers.Authorization = this.authorization;
+
+    const response = await fetch(`${this.base}/${name}`, {
+      method: 'PUT',
+      headers,
+      body: buffer,
+      agent: new ProxyAgent()
+    });
+    if (!response.ok)
+      throw new Error(
+        `Failed to store asset in WebDAV: ${response.status} ${response.statusText}`
+      );
+
+    return { uri: `${this.url}/${name}`, mime, size };
+  }
+}
+
+module.exports = WebDAV;
@@ -0,0 +1,59 @@
+const http = require('http');
+
+const WebDAV = require('./webdav');
+
+describe('WebDAV storage against a mock server', () => {
+  let server;
+  let host;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, pathname, headers: req.headers });
+      req.resume();
+      req.on('end', () => {
+        const missing = pathname.startsWith('/missing/');
+        res.writeHead(missing ? 409 : 201);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, 'localhost', resolve));
+    host = `localhost:${server.address().port}`;
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => (requests.length = 0));
+
+  test('assets are PUT into the collection', async () => {
+    const webdav = new WebDAV({ uri: `webdav://user:p%40ss@${host}/dav/cml/` });
+
+    const { uri } = await webdav.upload({
+      buffer: Buffer.from('plot'),
+      mimeType: 'image/png'
+    });
+    expect(uri).toMatch(
+      new RegExp(`^http://${host}/dav/cml/[0-9a-f]{64}\\.png$`)
+    );
+
+    const [{ method, pathname, headers }] = requests;
+    expect(method).toBe('PUT');
+    expect(`http://${host}${pathname}`).toBe(uri);
+    expect(headers.authorization).toBe(
+      `Basic ${Buffer.from('user:p@ss').toString('base64')}`
+    );
+  });
+
+  test('missing collections are reported', async () => {
+    const webdav = new WebDAV({
+      uri: `webdav://${host}/missing`,
+      url: 'https://assets.example.com'
+    });
+
+    await expect(
+      webdav.upload({ buffer: Buffer.from('plot'), mimeType: 'image/png' })
+    ).rejects.toThrow('Failed to store asset in WebDAV: 409 Conflict');
+    expect(requests[0].headers.authorization).toBeUndefined();
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const TABLE_EXTENSIONS = ['.csv', '.tsv', '.json'];
+
+// RFC 4180 parser: quoted fields may contain delimiters, quotes and newlines.
+const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && !field) {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter((row) => row.some(Boolean));
+  return {
+    columns: header,
+    rows: body.map((row) =>
+      Object.fromEntries(header.map((column, i) => [column, row[i]]))
+    )
+  };
+};
+
+// Flattens nested objects into dotted keys: {a: {b: 1}} => {'a.b': 1}.
+const flatten = (value, prefix = '', output = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value))
+      flatten(child, prefix ? `${prefix}.${key}` : key, output);
+  } else if (prefix) {
+    output[prefix] = Array.isArray(value) ? JSON.stringify(value) : value;
+  }
+
+  return output;
+};
+
+// Arrays of objects become one row per element; anything else becomes a
+// key/value listing, which is what `dvc metrics show` and friends produce.
+const parseJson = (data) => {
+  let rows;
+  if (Array.isArray(data)) {
+    rows = data.map((row) =>
+      row && typeof row === 'object' ? flatten(row) : { value: row }
+    );
+  } else if (data && typeof data === 'object') {
+    rows = Object.entries(flatten(data)).map(([key, value]) => {
+      return { key, value };
+    });
+  } else {
+    rows = [{ value: data }];
+  }
+
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return { columns, rows };
+};
+
+const isNumeric = (value) =>
+  typeof value === 'number' ||
+  (typeof value === 'string' && value.trim() !== '' && !isNaN(value));
+
+const formatCell = (value, opts = {}) => {
+  const { precision } = opts;
+  if (value === undefined || value === null) return '';
+
+  let cell = `${value}`;
+  if (precision !== undefined && isNumeric(value) && !/^-?\d+$/.test(cell))
+    cell = Number(value).toFixed(precision);
+
+  return cell.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+};
+
+const markdownTable = (opts = {}) => {
+  const { columns, rows, precision, limit } = opts;
+
+  const shown = limit === undefined ? rows : rows.slice(0, limit);
+  const numeric = columns.map((column) => {
+    const values = rows.map((row) => row[column]).filter((v) => v !== '');
+    return values.length > 0 && values.every(isNumeric);
+  });
+
+  const line = (cells) => `| ${cells.join(' | ')} |`;
+  const lines = [
+    line(columns.map((column) => formatCell(column))),
+    line(numeric.map((right) => (right ? '---:' : '---'))),
+    ...shown.map((row) =>
+      line(columns.map((column) => formatCell(row[column], { precision })))
+    )
+  ];
+  if (shown.length < rows.length)
+    lines.push('', `_${rows.length - shown.length} more rows not shown_`);
+
+  return lines.join('\n');
+};
+
+const isTableFile = (file) =>
+  TABLE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+// Renders a CSV, TSV or JSON file as a GFM table. Options:
+//   columns: column names to show, in order
+//   precision: decimal places for non-integer numbers
+//   limit: maximum number of rows
+//   key: dotted path of the JSON value to tabulate
+const renderTable = async (opts = {}) => {
+  const { file, columns, precision, limit, key } = opts;
+
+  const text = await fs.readFile(file, 'utf-8');
+  const extension = path.extname(file).toLowerCase();
+
+  let table;
+  if (extension === '.json') {
+    let data = JSON.parse(text);
+    if (key)
+      data = key
+        .split('.')
+        .filter(Boolean)
+        .reduce((value, k) => (value == null ? undefined : value[k]), data);
+    table = parseJson(data);
+  } else {
+    table = parseDelimited(text, extension === '.tsv' ? '\t' : ',');
+  }
+
+  if (columns) {
+    const missing = columns.filter((c) => !table.columns.includes(c));
+    if (missing.length)
+      throw new Error(
+        `Column(s) ${missing.join(', ')} not found in ${path.basename(file)}`
+      );
+    table.columns = columns;
+  }
+
+  return markdownTable({ ...table, precision, limit });
+};
+
+exports.flatten = flatten;
+exports.isTableFile = isTableFile;
+exports.renderTable = renderTable;
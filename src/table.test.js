@@ -0,0 +1,94 @@
+const fs = require('fs').promises;
+const { join } = require('path');
+const tempy = require('tempy');
+
+const { isTableFile, renderTable } = require('./table');
+
+describe('Table tests', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = tempy.directory();
+    await fs.writeFile(
+      join(dir, 'metrics.csv'),
+      'name,value,notes\r\nloss,0.123456,"lower, better"\r\naccuracy,0.9,"a ""quoted"" | pipe"\r\nepochs,10,\r\n'
+    );
+    await fs.writeFile(join(dir, 'params.tsv'), 'param\tvalue\nlr\t0.001\n');
+    await fs.writeFile(
+      join(dir, 'metrics.json'),
+      JSON.stringify({
+        train: { loss: 0.25, accuracy: 0.875 },
+        runs: [
+          { id: 1, score: 0.5 },
+          { id: 2, score: 0.75, extra: { note: 'x' } }
+        ]
+      })
+    );
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('only CSV, TSV and JSON files are tables', () => {
+    expect(isTableFile('metrics.CSV')).toBe(true);
+    expect(isTableFile('params.tsv')).toBe(true);
+    expect(isTableFile('metrics.json')).toBe(true);
+    expect(isTableFile('plot.png')).toBe(false);
+  });
+
+  test('CSV with quoting, precision and row limits', async () => {
+    expect(await renderTable({ file: join(dir, 'metrics.csv') }))
+      .toMatchInlineSnapshot(`
+      "| name | value | notes |
+      | --- | ---: | --- |
+      | loss | 0.123456 | lower, better |
+      | accuracy | 0.9 | a \\"quoted\\" \\\\| pipe |
+      | epochs | 10 |  |"
+    `);
+
+    expect(
+      await renderTable({
+        file: join(dir, 'metrics.csv'),
+        columns: ['value', 'name'],
+        precision: 2,
+        limit: 2
+      })
+    ).toMatchInlineSnapshot(`
+      "| value | name |
+      | ---: | --- |
+      | 0.12 | loss |
+      | 0.90 | accuracy |
+
+      _1 more rows not shown_"
+    `);
+  });
+
+  test('TSV', async () => {
+    expect(await renderTable({ file: join(dir, 'params.tsv') })).toBe(
+      '| param | value |\n| --- | ---: |\n| lr | 0.001 |'
+    );
+  });
+
+  test('JSON objects and arrays', async () => {
+    expect(
+      await renderTable({ file: join(dir, 'metrics.json'), key: 'train' })
+    ).toBe(
+      '| key | value |\n| --- | ---: |\n| loss | 0.25 |\n| accuracy | 0.875 |'
+    );
+
+    expect(await renderTable({ file: join(dir, 'metrics.json'), key: 'runs' }))
+      .toMatchInlineSnapshot(`
+      "| id | score | extra.note |
+      | ---: | ---: | --- |
+      | 1 | 0.5 |  |
+      | 2 | 0.75 | x |"
+    `);
+  });
+
+  test('unknown columns are rejected', async () => {
+    await expect(
+      renderTable({ file: join(dir, 'metrics.csv'), columns: ['missing'] })
+    ).rejects.toThrow('Column(s) missing not found in metrics.csv');
+  });
+});
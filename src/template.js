@@ -0,0 +1,211 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const TAG = /{{\s*(.*?)\s*}}/gs;
+const ARGUMENT = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+const BLOCKS = ['if', 'else', 'end'];
+const MAX_INCLUDE_DEPTH = 10;
+
+// Splits a template into text and tag tokens. Block tags on a line of their
+// own swallow that line, so they don't leave blank lines behind.
+const tokenize = (template) => {
+  const tokens = [];
+
+  let last = 0;
+  for (const match of template.matchAll(TAG)) {
+    const [tag, expression] = match;
+    const [keyword] = expression.split(/\s+/);
+    let start = match.index;
+    let end = start + tag.length;
+
+    if (BLOCKS.includes(keyword)) {
+      const lineStart = template.lastIndexOf('\n', start - 1) + 1;
+      const [trailing] = template.slice(end).match(/^[ \t]*(\r?\n|$)/) || [];
+      if (
+        lineStart >= last &&
+        trailing !== undefined &&
+        !template.slice(lineStart, start).trim()
+      ) {
+        start = lineStart;
+        end += trailing.length;
+      }
+    }
+
+    tokens.push({ text: template.slice(last, start) });
+    tokens.push({ tag, expression, keyword });
+    last = end;
+  }
+  tokens.push({ text: template.slice(last) });
+
+  return tokens;
+};
+
+// Builds a tree of text, expression and if/else nodes.
+const parse = (tokens) => {
+  const root = { children: [] };
+  const stack = [{ target: root.children }];
+
+  for (const token of tokens) {
+    const frame = stack[stack.length - 1];
+    const { keyword, expression } = token;
+
+    if (keyword === 'if') {
+      const node = {
+        condition: expression.replace(/^if\s*/, ''),
+        children: [],
+        otherwise: []
+      };
+      frame.target.push(node);
+      stack.push({ node, target: node.children });
+    } else if (keyword === 'else') {
+      if (!frame.node || frame.target === frame.node.otherwise)
+        throw new Error(`Unexpected {{ ${expression} }} in template`);
+      frame.target = frame.node.otherwise;
+
+      const condition = expression.match(/^else\s+if\s+(.*)$/s);
+      if (condition) {
+        const node = { condition: condition[1], children: [], otherwise: [] };
+        frame.target.push(node);
+        stack.push({ node, target: node.children, chained: true });
+      }
+    } else if (keyword === 'end') {
+      while (stack.length > 1 && stack[stack.length - 1].chained) stack.pop();
+      if (stack.length === 1)
+        throw new Error(`Unexpected {{ ${expression} }} in template`);
+      stack.pop();
+    } else {
+      frame.target.push(token);
+    }
+  }
+
+  if (stack.length > 1) throw new Error('Unclosed {{ if }} in template');
+
+  return root.children;
+};
+
+const parseArguments = (expression) => {
+  return [...expression.matchAll(ARGUMENT)].map(([, quoted, raw]) => {
+    if (quoted !== undefined)
+      return { quoted: true, value: JSON.parse(`"${quoted}"`) };
+    return { quoted: false, value: raw };
+  });
+};
+
+// Resolves paths like `env.HOME`, `metrics.loss` or `.runs[0].name`.
+const lookup = (value, keyPath = '') => {
+  const keys = keyPath
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+
+  return keys.reduce((value, key) => {
+    if (value === undefined || value === null) return undefined;
+    return value[key];
+  }, value);
+};
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const isKnown = (name, context) => {
+  const [root] = name.split(/[.[]/);
+  return has(FUNCTIONS, name) || has(context, root);
+};
+
+const evaluateArgument = (argument, context) => {
+  const { quoted, value } = argument;
+  if (quoted) return value;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+  return lookup(context, value);
+};
+
+const FUNCTIONS = {
+  async include([file], context, opts) {
+    const { dir, depth = 0 } = opts;
+    if (depth >= MAX_INCLUDE_DEPTH)
+      throw new Error(`Too many nested includes at "${file.value}"`);
+
+    const filePath = path.resolve(dir, evaluateArgument(file, context));
+    return await render(await fs.readFile(filePath, 'utf-8'), {
+      context,
+      dir: path.dirname(filePath),
+      depth: depth + 1
+    });
+  },
+
+  async json([file, keyPath], context, opts) {
+    const { dir } = opts;
+
+    const filePath = path.resolve(dir, evaluateArgument(file, context));
+    const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+
+    return keyPath ? lookup(data, keyPath.value) : data;
+  },
+
+  eq([a, b], context) {
+    return (
+      `${evaluateArgument(a, context)}` === `${evaluateArgument(b, context)}`
+    );
+  },
+
+  ne([a, b], context) {
+    return (
+      `${evaluateArgument(a, context)}` !== `${evaluateArgument(b, context)}`
+    );
+  },
+
+  not([a], context) {
+    return !evaluateArgument(a, context);
+  }
+};
+
+const evaluate = async (expression, context, opts) => {
+  const [name, ...args] = parseArguments(expression);
+  if (!name) return;
+
+  if (!name.quoted && has(FUNCTIONS, name.value))
+    return await FUNCTIONS[name.value](args, context, opts);
+
+  return evaluateArgument(name, context);
+};
+
+const stringify = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+
+  return `${value}`;
+};
+
+const renderNodes = async (nodes, context, opts) => {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      output += node.text;
+    } else if (node.condition !== undefined) {
+      const branch = (await evaluate(node.condition, context, opts))
+        ? node.children
+        : node.otherwise;
+      output += await renderNodes(branch, context, opts);
+    } else {
+      const [name] = node.expression.split(/\s+/);
+      // Leave foreign expressions (e.g. GitHub's `${{ secrets.TOKEN }}`) as is.
+      output += isKnown(name, context)
+        ? stringify(await evaluate(node.expression, context, opts))
+        : node.tag;
+    }
+  }
+
+  return output;
+};
+
+const render = async (template, opts = {}) => {
+  const { context = {}, dir = '.', depth = 0 } = opts;
+
+  return await renderNodes(parse(tokenize(template)), context, {
+    dir,
+    depth
+  });
+};
+
+exports.render = render;
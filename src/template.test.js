@@ -0,0 +1,89 @@
+const fs = require('fs').promises;
+const { join } = require('path');
+const tempy = require('tempy');
+
+const { render } = require('./template');
+
+describe('Template tests', () => {
+  const context = {
+    sha: 'abc123',
+    branch: 'main',
+    workflow: 'cml',
+    run: '42',
+    env: { MODEL: 'resnet', EMPTY: '' }
+  };
+
+  test('variables are substituted', async () => {
+    expect(
+      await render(
+        'Model {{ env.MODEL }} on {{branch}}@{{ sha }} ({{ workflow }}/{{ run }})',
+        { context }
+      )
+    ).toBe('Model resnet on main@abc123 (cml/42)');
+    expect(await render('{{ env.MISSING }}.', { context })).toBe('.');
+  });
+
+  test('foreign expressions are left untouched', async () => {
+    const report = 'token: {{ secrets.TOKEN }}, {{ toString }}';
+    expect(await render(report, { context })).toBe(report);
+  });
+
+  test('conditionals', async () => {
+    const template = [
+      '# Report',
+      '{{ if eq branch "main" }}',
+      'release',
+      '{{ else if env.EMPTY }}',
+      'empty',
+      '{{ else }}',
+      'feature',
+      '{{ end }}',
+      '{{ if not env.EMPTY }}no value{{ end }}'
+    ].join('\n');
+
+    expect(await render(template, { context })).toBe(
+      '# Report\nrelease\nno value'
+    );
+    expect(
+      await render(template, { context: { ...context, branch: 'dev' } })
+    ).toBe('# Report\nfeature\nno value');
+  });
+
+  test('unbalanced blocks are rejected', async () => {
+    await expect(render('{{ if sha }}', { context })).rejects.toThrow(
+      'Unclosed {{ if }} in template'
+    );
+    await expect(render('{{ end }}', { context })).rejects.toThrow(
+      'Unexpected {{ end }} in template'
+    );
+  });
+
+  test('files are included and queried', async () => {
+    const dir = tempy.directory();
+    try {
+      await fs.mkdir(join(dir, 'parts'));
+      await fs.writeFile(
+        join(dir, 'parts', 'metrics.md'),
+        'Accuracy: {{ json "metrics.json" train.accuracy }}'
+      );
+      await fs.writeFile(
+        join(dir, 'parts', 'metrics.json'),
+        JSON.stringify({ train: { accuracy: 0.9 }, epochs: [1, 2] })
+      );
+
+      expect(
+        await render(
+          '{{ include "parts/metrics.md" }}\n{{ json "parts/metrics.json" .epochs }}',
+          { context, dir }
+        )
+      ).toBe('Accuracy: 0.9\n[\n  1,\n  2\n]');
+
+      await fs.writeFile(join(dir, 'loop.md'), '{{ include "loop.md" }}');
+      await expect(
+        render('{{ include "loop.md" }}', { context, dir })
+      ).rejects.toThrow('Too many nested includes');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const winston = require('winston');
+
+const { mimeType } = require('./utils');
+const { encodeWebp } = require('./webp');
+
+const FORMATS = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+const JPEG_QUALITY = 90;
+// Images are decoded and resized in memory, several bytes per source pixel.
+const MAX_MEGAPIXELS = 25;
+
+// Decoders resolve to nothing for images over MAX_MEGAPIXELS.
+const decoders = {
+  'image/png': (buffer) => {
+    // The header of every PNG starts with its width and height.
+    const pixels = buffer.readUInt32BE(16) * buffer.readUInt32BE(20);
+    if (pixels <= MAX_MEGAPIXELS * 1e6) return PNG.sync.read(buffer);
+  },
+  'image/jpeg': (buffer) => {
+    try {
+      return jpeg.decode(buffer, {
+        useTArray: true,
+        formatAsRGBA: true,
+        maxResolutionInMP: MAX_MEGAPIXELS
+      });
+    } catch (err) {
+      if (!err.message.startsWith('maxResolutionInMP')) throw err;
+    }
+  }
+};
+
+const encoders = {
+  'image/png': (image) => PNG.sync.write(image),
+  'image/webp': (image) => encodeWebp(image),
+  // JPEG has no transparency, so images are laid over a white background.
+  'image/jpeg': ({ width, height, data }) => {
+    const opaque = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+      const alpha = data[i + 3] / 255;
+      for (let c = 0; c < 3; c++)
+        opaque[i + c] = Math.round(data[i + c] * alpha + 255 * (1 - alpha));
+      opaque[i + 3] = 255;
+    }
+    return jpeg.encode({ width, height, data: opaque }, JPEG_QUALITY).data;
+  }
+};
+
+// Weights of the source pixels covered by each destination pixel when size
+// pixels are squeezed into scaled ones.
+const coverage = (size, scaled) => {
+  const ratio = size / scaled;
+  return Array.from({ length: scaled }, (_, i) => {
+    const start = i * ratio;
+    const end = start + ratio;
+    const weights = [];
+    for (let p = Math.floor(start); p < Math.min(end, size); p++)
+      weights.push([p, (Math.min(end, p + 1) - Math.max(start, p)) / ratio]);
+    return weights;
+  });
+};
+
+// Shrinks an RGBA image by averaging the area each pixel covers, one axis at
+// a time. Colours are weighted by their opacity, so transparent pixels don't
+// darken the edges around them.
+const resample = (image, width, height) => {
+  const { width: sourceWidth, height: sourceHeight, data } = image;
+  const columns = coverage(sourceWidth, width);
+  const rows = coverage(sourceHeight, height);
+
+  const wide = new Float32Array(width * sourceHeight * 4);
+  for (let y = 0; y < sourceHeight; y++)
+    columns.forEach((weights, x) => {
+      const target = (y * width + x) * 4;
+      for (const [p, weight] of weights) {
+        const source = (y * sourceWidth + p) * 4;
+        const alpha = data[source + 3] * weight;
+        for (let c = 0; c < 3; c++)
+          wide[target + c] += data[source + c] * alpha;
+        wide[target + 3] += alpha;
+      }
+    });
+
+  const resized = Buffer.alloc(width * height * 4);
+  rows.forEach((weights, y) => {
+    for (let x = 0; x < width; x++) {
+      const pixel = [0, 0, 0, 0];
+      for (const [p, weight] of weights) {
+        const source = (p * width + x) * 4;
+        for (let c = 0; c < 4; c++) pixel[c] += wide[source + c] * weight;
+      }
+      const target = (y * width + x) * 4;
+      const alpha = pixel[3];
+      for (let c = 0; c < 3; c++)
+        resized[target + c] = alpha ? Math.round(pixel[c] / alpha) : 0;
+      resized[target + 3] = Math.round(alpha);
+    }
+  });
+
+  return { width, height, data: resized };
+};
+
+// Re-encodes a PNG or JPEG image so that it fits within maxWidth and
+// maxHeight, in the given format. Resolves to nothing when the image is left
+// as it is: not an image we can decode, too large to decode, already small
+// enough and in the right format, or no options at all.
+const thumbnail = async (opts = {}) => {
+  const { path, maxWidth, maxHeight, format } = opts;
+  if (!maxWidth && !maxHeight && !format) return;
+  if (format && !FORMATS[format])
+    throw new Error(
+      `Unknown image format ${format}, use ${Object.keys(FORMATS).join(', ')}`
+    );
+
+  const mime = await mimeType(opts);
+  if (!decoders[mime]) return;
+
+  const image = decoders[mime](opts.buffer || (await fs.readFile(path)));
+  if (!image) {
+    winston.warn(
+      `${path} is over ${MAX_MEGAPIXELS} megapixels, publishing it as it is`
+    );
+    return;
+  }
+  const scale = Math.min(
+    1,
+    (maxWidth || Infinity) / image.width,
+    (maxHeight || Infinity) / image.height
+  );
+  const target = FORMATS[format] || mime;
+  if (scale === 1 && target === mime) return;
+
+  const resized =
+    scale === 1
+      ? image
+      : resample(
+          image,
+          Math.max(1, Math.round(image.width * scale)),
+          Math.max(1, Math.round(image.height * scale))
+        );
+
+  return {
+    buffer: await encoders[target](resized),
+    mime: target,
+    width: resized.width,
+    height: resized.height
+  };
+};
+
+exports.FORMATS = FORMATS;
+exports.MAX_MEGAPIXELS = MAX_MEGAPIXELS;
+exports.resample = resample;
+exports.thumbnail = thumbnail;
@@ -0,0 +1,91 @@
+const fs = require('fs').promises;
+const { join } = require('path');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const tempy = require('tempy');
+
+const { MAX_MEGAPIXELS, resample, thumbnail } = require('./thumbnail');
+const { decodeWebp } = require('./webp');
+
+const LOGO = join(__dirname, '../assets/logo.png');
+
+describe('Thumbnail tests', () => {
+  test('images are shrunk by averaging the area of each pixel', () => {
+    const data = Buffer.from([
+      ...[255, 0, 0, 255, 0, 0, 255, 255, 0, 0, 0, 0],
+      ...[255, 0, 0, 255, 0, 0, 255, 255, 0, 0, 0, 0]
+    ]);
+    const {
+      width,
+      height,
+      data: resized
+    } = resample({ width: 3, height: 2, data }, 2, 1);
+
+    expect([width, height]).toEqual([2, 1]);
+    // The transparent pixel dims the second one, but doesn't darken it.
+    expect([...resized]).toEqual([170, 0, 85, 255, 0, 0, 255, 85]);
+  });
+
+  test('PNG images are resized and re-encoded', async () => {
+    const png = await thumbnail({ path: LOGO, maxWidth: 25 });
+    expect(png).toMatchObject({ mime: 'image/png', width: 25, height: 14 });
+    expect(PNG.sync.read(png.buffer)).toMatchObject({ width: 25, height: 14 });
+
+    const jpg = await thumbnail({ path: LOGO, maxHeight: 7, format: 'jpeg' });
+    expect(jpg).toMatchObject({ mime: 'image/jpeg', width: 13, height: 7 });
+    expect(jpeg.decode(jpg.buffer)).toMatchObject({ width: 13, height: 7 });
+
+    const webp = await thumbnail({ path: LOGO, format: 'webp' });
+    expect(webp).toMatchObject({ mime: 'image/webp', width: 50, height: 28 });
+    const { data } = PNG.sync.read(await fs.readFile(LOGO));
+    expect(await decodeWebp(webp.buffer)).toEqual({
+      width: 50,
+      height: 28,
+      data
+    });
+  });
+
+  test('other files and images small enough are left alone', async () => {
+    expect(await thumbnail({ path: LOGO })).toBeUndefined();
+    expect(
+      await thumbnail({ path: LOGO, maxWidth: 100, format: 'png' })
+    ).toBeUndefined();
+    expect(
+      await thumbnail({
+        path: join(__dirname, '../assets/test.svg'),
+        maxWidth: 10
+      })
+    ).toBeUndefined();
+
+    // Only the header of images too large to resize in memory is read.
+    const huge = Buffer.from(await fs.readFile(LOGO));
+    huge.writeUInt32BE(MAX_MEGAPIXELS * 1e6, 16);
+    expect(
+      await thumbnail({ path: LOGO, buffer: huge, maxWidth: 10 })
+    ).toBeUndefined();
+
+    await expect(thumbnail({ path: LOGO, format: 'gif' })).rejects.toThrow(
+      'Unknown image format gif'
+    );
+  });
+
+  test('JPEG images are decoded too', async () => {
+    const dir = tempy.directory();
+    try {
+      const { data } = PNG.sync.read(await fs.readFile(LOGO));
+      const path = join(dir, 'logo.jpg');
+      await fs.writeFile(
+        path,
+        jpeg.encode({ width: 50, height: 28, data }, 90).data
+      );
+
+      expect(await thumbnail({ path, maxWidth: 10 })).toMatchObject({
+        mime: 'image/jpeg',
+        width: 10,
+        height: 6
+      });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
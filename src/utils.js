@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const PATH = require('path');
 const { Buffer } = require('buffer');
@@ -72,6 +73,21 @@ const fetchUploadData = async (opts) => {
   return { mime, size, data };
 };
 
+// Assets kept in our own storage are named after the SHA-256 of their
+// contents, so publishing the same file twice yields the same address.
+const fetchAssetData = async (opts) => {
+  const { path, mimeType: mimeTypeIn } = opts;
+
+  const buffer = opts.buffer || (await fs.promises.readFile(path));
+  const mime = mimeTypeIn || (await mimeType(opts));
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const extension = path
+    ? PATH.extname(path)
+    : `.${mime.split('/')[1].split('+')[0]}`;
+
+  return { mime, size: buffer.length, buffer, name: `${hash}${extension}` };
+};
+
 const upload = async (opts) => {
   const { path, session, url = 'https://asset.cml.dev' } = opts;
 
@@ -243,7 +259,9 @@ const fileExists = (path) =>
 exports.tfCapture = tfCapture;
 exports.waitForever = waitForever;
 exports.exec = exec;
+exports.mimeType = mimeType;
 exports.fetchUploadData = fetchUploadData;
+exports.fetchAssetData = fetchAssetData;
 exports.upload = upload;
 exports.randid = randid;
 exports.sleep = sleep;
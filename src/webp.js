@@ -0,0 +1,43 @@
+const fs = require('fs').promises;
+const wasmWebp = require('@saschazar/wasm-webp');
+const defaults = require('@saschazar/wasm-webp/options');
+
+const WASM = require.resolve('@saschazar/wasm-webp/wasm_webp.wasm');
+const MAX_SIZE = 16383;
+const PROCESS_EVENTS = ['uncaughtException', 'unhandledRejection'];
+
+// libwebp compiled to WebAssembly. A module can't be reused once it has coded
+// an image, so every image gets one of its own. Modules also hook process
+// events to abort on any unhandled rejection; those hooks are taken off again.
+const webpModule = async () => {
+  const listeners = PROCESS_EVENTS.map((event) => process.listeners(event));
+  const webp = await wasmWebp({ wasmBinary: await fs.readFile(WASM) });
+  PROCESS_EVENTS.forEach((event, i) => {
+    for (const listener of process.listeners(event))
+      if (!listeners[i].includes(listener))
+        process.removeListener(event, listener);
+  });
+  return webp;
+};
+
+// Encodes an RGBA image as a lossless WebP, keeping the colour of transparent
+// pixels too.
+const encodeWebp = async (image) => {
+  const { width, height, data } = image;
+  if (width > MAX_SIZE || height > MAX_SIZE)
+    throw new Error(`WebP images can't be ${width}x${height} pixels`);
+
+  const webp = await webpModule();
+  const options = { ...defaults, lossless: 1, exact: 1 };
+  return Buffer.from(webp.encode(data, width, height, 4, options));
+};
+
+const decodeWebp = async (buffer) => {
+  const webp = await webpModule();
+  const data = Buffer.from(webp.decode(buffer, buffer.length, true));
+  const { width, height } = webp.dimensions();
+  return { width, height, data };
+};
+
+exports.encodeWebp = encodeWebp;
+exports.decodeWebp = decodeWebp;
@@ -0,0 +1,43 @@
+const { encodeWebp, decodeWebp } = require('./webp');
+
+const image = (width, height, pixel) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++)
+    for (let x = 0; x < width; x++) data.set(pixel(x, y), (y * width + x) * 4);
+  return { width, height, data };
+};
+
+describe('WebP tests', () => {
+  test('images are encoded losslessly', async () => {
+    const plot = image(300, 200, (x, y) =>
+      Math.abs(y - 100 - 50 * Math.sin(x / 20)) < 2
+        ? [31, 119, 180, 255]
+        : [255, 255, 255, 255]
+    );
+
+    const webp = await encodeWebp(plot);
+    expect(webp.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(webp.toString('ascii', 8, 16)).toBe('WEBPVP8L');
+    expect(await decodeWebp(webp)).toEqual(plot);
+  });
+
+  test('transparent pixels keep their colour', async () => {
+    const sprite = image(7, 3, (x, y) =>
+      x % 2 ? [x * 30, y * 80, 5, 0] : [255, 0, 0, 128]
+    );
+
+    expect(await decodeWebp(await encodeWebp(sprite))).toEqual(sprite);
+  });
+
+  test('modules leave the process event handlers alone', async () => {
+    const listeners = process.listeners('unhandledRejection').length;
+    await encodeWebp(image(1, 1, () => [0, 0, 0, 255]));
+    expect(process.listeners('unhandledRejection')).toHaveLength(listeners);
+  });
+
+  test('images too large for WebP are rejected', async () => {
+    await expect(
+      encodeWebp({ width: 16384, height: 1, data: Buffer.alloc(16384 * 4) })
+    ).rejects.toThrow("WebP images can't be 16384x1 pixels");
+  });
+});